@@ -0,0 +1,45 @@
+///////////////////////////////////////////////////////////////////////////////
+// Cubesphere.test.js
+// ==================
+// build headless cubespheres and check the tex coords at the poles
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Cubesphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Cubesphere.js";
+
+// largest s span of a triangle
+function maxSpanS(cubesphere)
+{
+    let span = 0;
+    let t = cubesphere.texCoords;
+    let indices = cubesphere.indices;
+    for(let i = 0; i < indices.length; i += 3)
+    {
+        let s = [t[indices[i] * 2], t[indices[i+1] * 2], t[indices[i+2] * 2]];
+        span = Math.max(span, Math.max(...s) - Math.min(...s));
+    }
+    return span;
+}
+
+test("equirectangular divisions are rounded up to even", () =>
+{
+    for(let smooth of [true, false])
+    {
+        for(let divisions of [1, 3, 5, 15])
+        {
+            let cubesphere = new Cubesphere(null, 1, divisions, smooth);
+            assert.equal(cubesphere.divisions, divisions + 1);
+            // a quarter turn around the pole, not half of the texture
+            assert.ok(maxSpanS(cubesphere) <= 0.25 + 1e-6);
+        }
+    }
+});
+
+test("face tex coords keep odd divisions", () =>
+{
+    let cubesphere = new Cubesphere(null, 1, 5, true, Cubesphere.TexCoordMode.FACE);
+    assert.equal(cubesphere.divisions, 5);
+    assert.equal(cubesphere.getVertexCount(), 6 * 6 * 6);
+});
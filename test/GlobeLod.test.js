@@ -0,0 +1,78 @@
+///////////////////////////////////////////////////////////////////////////////
+// GlobeLod.test.js
+// ================
+// select the patches of a headless GlobeLod and check the patch cache
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GlobeLod } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/GlobeLod.js";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+
+// column-major perspective of 45 degree, square viewport
+const PROJECTION = (() =>
+{
+    let f = 1 / Math.tan(Math.PI / 8);
+    let near = 0.01, far = 100;
+    return [f, 0, 0, 0,
+            0, f, 0, 0,
+            0, 0, (near + far) / (near - far), -1,
+            0, 0, 2 * near * far / (near - far), 0];
+})();
+
+// camera on the Z axis above the north pole, looking at the center
+function lookFrom(distance)
+{
+    return [1, 0, 0, 0,  0, 1, 0, 0,  0, 0, 1, 0,  0, 0, -distance, 1];
+}
+
+// count the patches and the nodes of the tree
+function countNodes(lod)
+{
+    let count = { nodes:0, patches:0 };
+    let nodes = lod.roots.slice();
+    while(nodes.length > 0)
+    {
+        let node = nodes.pop();
+        count.nodes++;
+        if(node.patch)
+            count.patches++;
+        if(node.children)
+            nodes.push(...node.children);
+    }
+    return count;
+}
+
+test("patch has the same geometry as a sphere limited with setBounds", () =>
+{
+    let lod = new GlobeLod(null, 1, 16);
+    let node = GlobeLod.createNode(2, 45, 90, 90, 135);
+    let patch = lod.createPatch(node);
+    let sphere = new Sphere(null, 1, 16, 16).setBounds(45, 90, 90, 135);
+    let count = sphere.getVertexCount();
+    assert.deepEqual(patch.vertices.slice(0, count * 3), Float32Array.from(sphere.vertices));
+    assert.deepEqual(patch.texCoords.slice(0, count * 2), Float32Array.from(sphere.texCoords));
+    assert.ok(patch.getVertexCount() > count);      // skirts
+});
+
+test("patches not selected for maxUnusedFrames are disposed", () =>
+{
+    let lod = new GlobeLod(null, 1, 16);
+    lod.update(PROJECTION, lookFrom(1.2), 1000);
+    let near = countNodes(lod);
+    assert.ok(lod.patches.length > 2);
+    assert.equal(near.patches, lod.patches.length);
+
+    // far away, only the roots are selected; the near patches stay cached
+    lod.update(PROJECTION, lookFrom(50), 1000);
+    assert.equal(lod.patches.length, 2);
+    assert.equal(countNodes(lod).patches, near.patches + 2);
+
+    for(let i = 0; i < lod.maxUnusedFrames; ++i)
+        lod.update(PROJECTION, lookFrom(50), 1000);
+    let far = countNodes(lod);
+    assert.equal(far.patches, 2);
+    assert.equal(far.nodes, 2);     // unused children are removed too
+    assert.ok(lod.roots.every(node => node.patch && !node.children));
+});
@@ -0,0 +1,57 @@
+///////////////////////////////////////////////////////////////////////////////
+// Graticule.test.js
+// =================
+// build headless graticules and check the 16-bit index limit
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graticule } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Graticule.js";
+
+test("default graticule keeps its spacing and segments", () =>
+{
+    let graticule = new Graticule();
+    assert.equal(graticule.spacing, 15);
+    assert.equal(graticule.segments, 120);
+    assert.equal(graticule.getVertexCount(), graticule.countVertices());
+});
+
+test("fine graticules fit in 16-bit indices", () =>
+{
+    for(let [spacing, segments] of [[0.1, 120], [1, 1000], [2.5, 2000]])
+    {
+        let graticule = new Graticule(null, 1.005, spacing, segments);
+        assert.ok(graticule.spacing >= Graticule.MIN_SPACING);
+        assert.ok(graticule.getVertexCount() <= Graticule.MAX_VERTEX_COUNT);
+        assert.ok(graticule.indices.every(i => i < graticule.getVertexCount()));
+    }
+});
+
+test("grid has no second equator or prime meridian", () =>
+{
+    let graticule = new Graticule(null, 1, 15);
+    let v = graticule.vertices;
+    let range = graticule.ranges.grid;
+    let start = range.indexOffset / 2;
+    for(let i = start; i < start + range.indexCount; i += 2)
+    {
+        let a = graticule.indices[i], b = graticule.indices[i+1];
+        // a segment of the equator has z = 0 at both ends, one of the prime
+        // meridian (sector angle 180) has y = 0 and x < 0
+        assert.ok(!(Math.abs(v[a*3+2]) < 1e-6 && Math.abs(v[b*3+2]) < 1e-6));
+        assert.ok(!(Math.abs(v[a*3+1]) < 1e-6 && Math.abs(v[b*3+1]) < 1e-6 && v[a*3] + v[b*3] < 0));
+    }
+});
+
+test("grid lines step from the equator and the prime meridian", () =>
+{
+    for(let spacing of [15, 25, 40])
+    {
+        let lines = new Graticule(null, 1.005, spacing).getGridLines();
+        assert.ok(lines.parallels.every(lat => lat != 0 && Math.abs(lat) < 90 && lat % spacing == 0));
+        assert.ok(lines.meridians.every(angle => angle >= 0 && angle < 360 && (angle - 180) % spacing == 0));
+        assert.ok(lines.meridians.includes(180 - spacing) && lines.meridians.includes(180 + spacing));
+        assert.equal(new Set(lines.meridians).size, lines.meridians.length);
+    }
+});
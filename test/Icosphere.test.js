@@ -0,0 +1,93 @@
+///////////////////////////////////////////////////////////////////////////////
+// Icosphere.test.js
+// =================
+// build headless icospheres and check the tex coords at the seam and poles
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Icosphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Icosphere.js";
+
+const EPSILON = 1e-5;
+
+// call back with the 3 vertex indices of each triangle
+function forEachTriangle(icosphere, callback)
+{
+    let indices = icosphere.indices;
+    for(let i = 0; i < indices.length; i += 3)
+        callback([indices[i], indices[i+1], indices[i+2]]);
+}
+
+test("tex coords are in [0, 1] at every subdivision", () =>
+{
+    for(let smooth of [true, false])
+    {
+        for(let subdivision = 0; subdivision <= Icosphere.MAX_SUBDIVISION; ++subdivision)
+        {
+            let icosphere = new Icosphere(null, 1, subdivision, smooth);
+            assert.ok(icosphere.texCoords.every(v => v >= 0 && v <= 1));
+            assert.ok(icosphere.getVertexCount() <= 65536);
+        }
+    }
+});
+
+test("s of each vertex is its longitude, 1 instead of 0 west of the seam", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let icosphere = new Icosphere(null, 1, 3, smooth);
+        let v = icosphere.vertices;
+        let t = icosphere.texCoords;
+        forEachTriangle(icosphere, (triangle) =>
+        {
+            let s = triangle.map(k => t[k * 2]);
+            assert.ok(Math.max(...s) - Math.min(...s) < 0.25);
+            for(let k of triangle)
+            {
+                if(Math.abs(v[k * 3 + 2]) > 1 - EPSILON)
+                    continue;   // pole
+                let lon = Math.atan2(v[k * 3 + 1], v[k * 3]) / (2 * Math.PI);
+                let expected = (lon + 1) % 1;
+                if(Math.abs(expected) < EPSILON && Math.max(...s) > 0.5)
+                    expected = 1;
+                assert.ok(Math.abs(t[k * 2] - expected) < EPSILON);
+            }
+        });
+    }
+});
+
+test("triangles keep the same winding in texture space", () =>
+{
+    // counter-clockwise from outside is clockwise in (s,t), as t goes south
+    for(let smooth of [true, false])
+    {
+        let icosphere = new Icosphere(null, 1, 3, smooth);
+        let t = icosphere.texCoords;
+        forEachTriangle(icosphere, ([a, b, c]) =>
+        {
+            let area = (t[b*2] - t[a*2]) * (t[c*2+1] - t[a*2+1]) - (t[c*2] - t[a*2]) * (t[b*2+1] - t[a*2+1]);
+            assert.ok(area < 0);
+        });
+    }
+});
+
+test("triangles crossing the seam are split on a shared vertex", () =>
+{
+    let icosphere = new Icosphere(null, 1, 3, true);
+    let v = icosphere.vertices;
+    let t = icosphere.texCoords;
+    // seam vertices (y = 0, x > 0) are duplicated with s = 0 and s = 1
+    let seam = {};
+    for(let k = 0; k < icosphere.getVertexCount(); ++k)
+    {
+        if(Math.abs(v[k * 3 + 1]) < EPSILON && v[k * 3] > EPSILON)
+        {
+            let key = v[k * 3 + 2].toFixed(5);
+            seam[key] = (seam[key] || []).concat(t[k * 2]);
+        }
+    }
+    assert.ok(Object.keys(seam).length > 0);
+    for(let key in seam)
+        assert.deepEqual(seam[key].sort(), [0, 1]);
+});
@@ -0,0 +1,138 @@
+///////////////////////////////////////////////////////////////////////////////
+// MeshExporter.test.js
+// ====================
+// export small headless meshes and check the counts and indices of the files
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MeshExporter } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/MeshExporter.js";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+import { Icosphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Icosphere.js";
+
+const MESHES =
+{
+    "smooth sphere": () => new Sphere(null, 1, 12, 6),
+    "flat sphere":   () => new Sphere(null, 1, 12, 6, false),
+    "icosphere":     () => new Icosphere(null, 1, 2),
+    "flat icosphere": () => new Icosphere(null, 1, 1, false)
+};
+
+// a count of mesh.toString(), e.g. "Triangle Count"
+function reportedCount(mesh, label)
+{
+    let match = mesh.toString().match(new RegExp(label + ": (\\d+)"));
+    return Number(match[1]);
+}
+
+// typed array of an accessor in the binary buffer
+function readAccessor(json, bin, index)
+{
+    let accessor = json.accessors[index];
+    let view = json.bufferViews[accessor.bufferView];
+    let Type = { 5123:Uint16Array, 5125:Uint32Array, 5126:Float32Array }[accessor.componentType];
+    let size = { SCALAR:1, VEC2:2, VEC3:3, VEC4:4 }[accessor.type];
+    assert.equal(view.byteLength, accessor.count * size * Type.BYTES_PER_ELEMENT);
+    return new Type(bin.slice(view.byteOffset, view.byteOffset + view.byteLength));
+}
+
+// accessor counts match the mesh and the indices are the mesh indices
+function checkGltf(mesh, json, bin)
+{
+    assert.equal(json.buffers[0].byteLength, bin.byteLength);
+    let primitive = json.meshes[0].primitives[0];
+    for(let name of ["POSITION", "NORMAL", "TEXCOORD_0"])
+        assert.equal(json.accessors[primitive.attributes[name]].count, mesh.getVertexCount());
+    assert.deepEqual(readAccessor(json, bin, primitive.attributes.POSITION), Float32Array.from(mesh.vertices));
+
+    let indices = readAccessor(json, bin, primitive.indices);
+    assert.equal(indices.length, mesh.getIndexCount());
+    assert.ok(indices.every(i => i < mesh.getVertexCount()));
+    assert.deepEqual(Array.from(indices), Array.from(new MeshExporter(mesh).getIndices()));
+}
+
+for(let [name, create] of Object.entries(MESHES))
+{
+    test("OBJ of " + name + " has the counts of toString()", () =>
+    {
+        let mesh = create();
+        let lines = new MeshExporter(mesh).toObj().split("\n");
+        let faces = lines.filter(line => line.startsWith("f "));
+        assert.equal(faces.length, reportedCount(mesh, "Triangle Count"));
+        assert.equal(lines.filter(line => line.startsWith("v ")).length, reportedCount(mesh, "Vertex Count"));
+
+        // 1-based indices within the vertices
+        for(let face of faces)
+        {
+            for(let corner of face.split(" ").slice(1))
+            {
+                let i = Number(corner.split("/")[0]);
+                assert.ok(i >= 1 && i <= mesh.getVertexCount());
+            }
+        }
+    });
+
+    test("STL of " + name + " has a triangle per face", () =>
+    {
+        let mesh = create();
+        let buffer = new MeshExporter(mesh).toStl();
+        let view = new DataView(buffer);
+        assert.equal(view.getUint32(80, true), mesh.getTriangleCount());
+        assert.equal(buffer.byteLength, 84 + mesh.getTriangleCount() * 50);
+    });
+
+    test("glTF of " + name + " has accessors of the mesh", () =>
+    {
+        let mesh = create();
+        let json = JSON.parse(new MeshExporter(mesh).toGltf());
+        let uri = json.buffers[0].uri;
+        assert.ok(uri.startsWith("data:application/octet-stream;base64,"));
+        let bytes = Buffer.from(uri.slice(uri.indexOf(",") + 1), "base64");
+        checkGltf(mesh, json, bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+    });
+
+    test("GLB of " + name + " has the header, chunks and accessors of the mesh", () =>
+    {
+        let mesh = create();
+        let buffer = new MeshExporter(mesh).toGlb();
+        let view = new DataView(buffer);
+        assert.equal(view.getUint32(0, true), MeshExporter.GLB_MAGIC);
+        assert.equal(view.getUint32(4, true), 2);
+        assert.equal(view.getUint32(8, true), buffer.byteLength);
+
+        let jsonLength = view.getUint32(12, true);
+        assert.equal(view.getUint32(16, true), MeshExporter.GLB_CHUNK_JSON);
+        assert.equal(jsonLength % 4, 0);
+        let json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+
+        let offset = 20 + jsonLength;
+        let binLength = view.getUint32(offset, true);
+        assert.equal(view.getUint32(offset + 4, true), MeshExporter.GLB_CHUNK_BIN);
+        assert.equal(offset + 8 + binLength, buffer.byteLength);
+        checkGltf(mesh, json, buffer.slice(offset + 8, offset + 8 + binLength));
+    });
+}
+
+test("16-bit draw ranges are exported as absolute indices", () =>
+{
+    let mesh = new Sphere(null, 1, 8, 2);
+    mesh.uintIndexSupported = false;
+    mesh.set(1, 400, 200, true);
+    assert.ok(mesh.drawRanges.length > 1);
+    let reference = new Sphere(null, 1, 400, 200);
+    assert.deepEqual(Array.from(new MeshExporter(mesh).getIndices()), Array.from(reference.indices));
+});
+
+test("glTF indices are 32-bit from 65535 vertices, 65535 is the primitive restart", () =>
+{
+    // (sectors+1) * (stacks+1) vertices of a smooth sphere
+    for(let [sectors, stacks, componentType] of [[216, 301, 5123], [254, 256, 5125], [255, 255, 5125]])
+    {
+        let mesh = new Sphere(null, 1, sectors, stacks);
+        let json = new MeshExporter(mesh).buildGltf().json;
+        let accessor = json.accessors[json.meshes[0].primitives[0].indices];
+        assert.equal(accessor.componentType, componentType, mesh.getVertexCount() + " vertices");
+        assert.equal(accessor.count, mesh.getIndexCount());
+    }
+});
@@ -0,0 +1,192 @@
+///////////////////////////////////////////////////////////////////////////////
+// Sphere.test.js
+// ==============
+// build spheres without a GL context (headless) and check the vertex arrays
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+
+const EPSILON = 1e-5;
+
+test("headless smooth sphere has vertex and index counts of its sectors and stacks", () =>
+{
+    let sphere = new Sphere(null, 1, 36, 18);
+    // (sectors+1) * (stacks+1) vertices, 2 triangles per quad except the pole stacks
+    assert.equal(sphere.getVertexCount(), 37 * 19);
+    assert.equal(sphere.getIndexCount(), 6 * 36 * (18 - 1));
+    assert.equal(sphere.normals.length, sphere.vertices.length);
+    assert.equal(sphere.texCoords.length, sphere.getVertexCount() * 2);
+    assert.equal(sphere.vboVertex, undefined);   // no VBO without GL
+    assert.equal(sphere.drawRanges.length, 1);
+});
+
+test("headless flat sphere has separate vertices for each face", () =>
+{
+    let sphere = new Sphere(null, 1, 36, 18, false);
+    // 3 vertices per pole triangle, 4 per quad
+    assert.equal(sphere.getVertexCount(), 36 * (2 * 3 + (18 - 2) * 4));
+    assert.equal(sphere.getIndexCount(), 6 * 36 * (18 - 1));
+});
+
+test("indices are in the range of the vertices", () =>
+{
+    let sphere = new Sphere(null, 1, 24, 12);
+    let count = sphere.getVertexCount();
+    for(let i of sphere.indices)
+        assert.ok(i >= 0 && i < count);
+});
+
+test("normals are unit vectors along the position of a sphere", () =>
+{
+    let radius = 2.5;
+    let sphere = new Sphere(null, radius, 36, 18);
+    for(let i = 0; i < sphere.normals.length; i += 3)
+    {
+        let nx = sphere.normals[i], ny = sphere.normals[i+1], nz = sphere.normals[i+2];
+        assert.ok(Math.abs(Math.hypot(nx, ny, nz) - 1) < EPSILON);
+        assert.ok(Math.abs(sphere.vertices[i]   - nx * radius) < EPSILON);
+        assert.ok(Math.abs(sphere.vertices[i+1] - ny * radius) < EPSILON);
+        assert.ok(Math.abs(sphere.vertices[i+2] - nz * radius) < EPSILON);
+    }
+});
+
+test("tex coords are in [0, 1] and cover the whole range", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let sphere = new Sphere(null, 1, 36, 18, smooth);
+        let s = sphere.texCoords.filter((v, i) => i % 2 == 0);
+        let t = sphere.texCoords.filter((v, i) => i % 2 == 1);
+        assert.ok(s.every(v => v >= 0 && v <= 1));
+        assert.ok(t.every(v => v >= 0 && v <= 1));
+        assert.equal(Math.min(...s), 0);
+        assert.equal(Math.max(...s), 1);
+        assert.equal(Math.min(...t), 0);
+        assert.equal(Math.max(...t), 1);
+    }
+});
+
+test("interleaved vertices follow the layout", () =>
+{
+    let sphere = new Sphere(null, 1, 8, 4, true, 1, ["vertex", "normal", "texCoord", "tangent"]);
+    assert.equal(sphere.stride, 48);
+    assert.deepEqual(sphere.offsets, { vertex:0, normal:12, texCoord:24, tangent:32 });
+    assert.equal(sphere.interleavedVertices.length, sphere.getVertexCount() * 12);
+});
+
+test("16-bit draw ranges address the same vertices as 32-bit indices", () =>
+{
+    for(let smooth of [true, false])
+    {
+        // 1 stack of 40000 sectors has more than 65536 vertices, so it is limited
+        let sphere = new Sphere(null, 1, 8, 2, smooth);
+        sphere.uintIndexSupported = false;
+        sphere.set(1, 40000, 2, smooth);
+        assert.equal(sphere.sectorCount, smooth ? 32767 : 16384);
+        assert.ok(sphere.drawRanges.length > 1);
+        assert.ok(sphere.indices instanceof Uint16Array);
+
+        let reference = new Sphere(null, 1, sphere.sectorCount, 2, smooth);
+        let count = 0;
+        for(let range of sphere.drawRanges)
+        {
+            let firstVertex = range.vertexOffset / sphere.stride;
+            let start = range.indexOffset / 2;
+            for(let k = start; k < start + range.indexCount; ++k)
+                assert.equal(sphere.indices[k] + firstVertex, reference.indices[k]);
+            count += range.indexCount;
+        }
+        assert.equal(count, reference.getIndexCount());
+    }
+});
+
+test("ellipsoid vertices are on the surface, with the geodetic normals", () =>
+{
+    let a = 2, b = 1.5;
+    for(let smooth of [true, false])
+    {
+        let ellipsoid = new Sphere(null, a, 36, 18, smooth, b);
+        let v = ellipsoid.vertices;
+        for(let i = 0; i < v.length; i += 3)
+        {
+            let x = v[i], y = v[i+1], z = v[i+2];
+            assert.ok(Math.abs(x * x / (a * a) + y * y / (a * a) + z * z / (b * b) - 1) < EPSILON);
+        }
+    }
+
+    // smooth normals are the gradient of the surface, at the geodetic
+    // latitude of the stack, which t follows
+    let ellipsoid = new Sphere(null, a, 36, 18, true, b);
+    let v = ellipsoid.vertices, n = ellipsoid.normals;
+    for(let i = 0; i < v.length / 3; ++i)
+    {
+        let gx = v[i*3] / (a * a), gy = v[i*3+1] / (a * a), gz = v[i*3+2] / (b * b);
+        let length = Math.hypot(gx, gy, gz);
+        assert.ok(Math.abs(n[i*3]   - gx / length) < EPSILON);
+        assert.ok(Math.abs(n[i*3+1] - gy / length) < EPSILON);
+        assert.ok(Math.abs(n[i*3+2] - gz / length) < EPSILON);
+
+        let lat = Math.asin(Math.max(-1, Math.min(1, n[i*3+2])));
+        assert.ok(Math.abs(ellipsoid.texCoords[i*2+1] - (0.5 - lat / Math.PI)) < EPSILON);
+    }
+});
+
+test("patch of setBounds covers its lat/lon region", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let patch = new Sphere(null, 1, 16, 8, smooth).setBounds(0, 45, 90, 135);
+        let lats = [], lons = [];
+        for(let i = 0; i < patch.vertices.length; i += 3)
+        {
+            let x = patch.vertices[i], y = patch.vertices[i+1], z = patch.vertices[i+2];
+            lats.push(Math.asin(z) * 180 / Math.PI);
+            lons.push(Math.atan2(y, x) * 180 / Math.PI);     // sector angle
+        }
+        assert.ok(Math.abs(Math.min(...lats) - 0) < EPSILON);
+        assert.ok(Math.abs(Math.max(...lats) - 45) < 1e-3);
+        assert.ok(Math.abs(Math.min(...lons) - 90) < 1e-3);
+        assert.ok(Math.abs(Math.max(...lons) - 135) < 1e-3);
+
+        // global tex coords are the part of the whole map
+        let s = patch.texCoords.filter((v, i) => i % 2 == 0);
+        let t = patch.texCoords.filter((v, i) => i % 2 == 1);
+        assert.ok(Math.abs(Math.min(...s) - 90 / 360) < EPSILON);
+        assert.ok(Math.abs(Math.max(...s) - 135 / 360) < EPSILON);
+        assert.ok(Math.abs(Math.min(...t) - 0.25) < EPSILON);
+        assert.ok(Math.abs(Math.max(...t) - 0.5) < EPSILON);
+    }
+});
+
+test("patch with local tex coords spans [0, 1]", () =>
+{
+    let patch = new Sphere(null, 1, 16, 8).setBounds(-30, 30, 200, 260, true);
+    let s = patch.texCoords.filter((v, i) => i % 2 == 0);
+    let t = patch.texCoords.filter((v, i) => i % 2 == 1);
+    assert.equal(Math.min(...s), 0);
+    assert.equal(Math.max(...s), 1);
+    assert.equal(Math.min(...t), 0);
+    assert.equal(Math.max(...t), 1);
+});
+
+test("patch has 1 draw range of its triangles, a pole stack has 1 per sector", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let patch = new Sphere(null, 1, 16, 8, smooth).setBounds(0, 45, 90, 135);
+        assert.equal(patch.getIndexCount(), 6 * 16 * 8);
+        let cap = new Sphere(null, 1, 16, 8, smooth).setBounds(60, 90, 0, 360);
+        assert.equal(cap.getIndexCount(), 3 * 16 + 6 * 16 * 7);
+
+        for(let mesh of [patch, cap])
+        {
+            assert.deepEqual(mesh.drawRanges, [{vertexOffset: 0, indexOffset: 0, indexCount: mesh.getIndexCount()}]);
+            assert.ok(mesh.indices.every(i => i < mesh.getVertexCount()));
+        }
+    }
+    let smoothPatch = new Sphere(null, 1, 16, 8).setBounds(0, 45, 90, 135);
+    assert.equal(smoothPatch.getVertexCount(), 17 * 9);
+});
@@ -0,0 +1,104 @@
+///////////////////////////////////////////////////////////////////////////////
+// SphereAsync.test.js
+// ===================
+// setAsync() with a fake Web Worker, which keeps the posted requests so the
+// test decides when each result arrives
+///////////////////////////////////////////////////////////////////////////////
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+
+let messages = [];
+
+// build the sphere same as SphereWorker.js, then send the result back
+function reply(message)
+{
+    let sphere = Sphere.fromBuildParams(message.params);
+    Sphere.onWorkerMessage({ data:{ id:message.id,
+                                    radius:sphere.radius,
+                                    polarRadius:sphere.polarRadius,
+                                    sectorCount:sphere.sectorCount,
+                                    stackCount:sphere.stackCount,
+                                    smooth:sphere.smooth,
+                                    texCoordOptions:sphere.texCoordOptions,
+                                    vertices:sphere.vertices,
+                                    normals:sphere.normals,
+                                    texCoords:sphere.texCoords,
+                                    tangents:new Float32Array(sphere.tangents),
+                                    flatVertices:new Float32Array(sphere.flatVertices),
+                                    indices:sphere.indices,
+                                    interleavedVertices:sphere.interleavedVertices,
+                                    stride:sphere.stride,
+                                    offsets:sphere.offsets } });
+}
+
+beforeEach(() =>
+{
+    messages = [];
+    globalThis.Worker = function()
+    {
+        this.postMessage = (message) => messages.push(message);
+        this.terminate = () => {};
+    };
+    Sphere.worker = null;
+    Sphere.workerFailed = false;
+    Sphere.workerRequests = {};
+});
+
+afterEach(() =>
+{
+    delete globalThis.Worker;
+    Sphere.worker = null;
+    Sphere.workerFailed = false;
+});
+
+test("the worker result replaces the mesh", async () =>
+{
+    let sphere = new Sphere(null, 1, 8, 4);
+    let promise = sphere.setAsync(1, 16, 8, true);
+    assert.equal(sphere.sectorCount, 8);        // old mesh until the result arrives
+    reply(messages[0]);
+    await promise;
+    assert.equal(sphere.sectorCount, 16);
+    assert.equal(sphere.getVertexCount(), 17 * 9);
+});
+
+test("a result older than a later setAsync() is dropped", async () =>
+{
+    let sphere = new Sphere(null, 1, 8, 4);
+    let first = sphere.setAsync(1, 16, 8, true);
+    let second = sphere.setAsync(1, 32, 16, true);
+    reply(messages[1]);
+    reply(messages[0]);
+    await Promise.all([first, second]);
+    assert.equal(sphere.sectorCount, 32);
+});
+
+test("a result older than a later set() or setter is dropped", async () =>
+{
+    let sphere = new Sphere(null, 1, 8, 4);
+    let promise = sphere.setAsync(1, 16, 8, true);
+    sphere.set(1, 24, 12, true);
+    reply(messages[0]);
+    await promise;
+    assert.equal(sphere.sectorCount, 24);
+
+    promise = sphere.setAsync(1, 16, 8, true);
+    sphere.setLayout(["vertex", "normal", "texCoord", "tangent"]);
+    reply(messages[1]);
+    await promise;
+    assert.equal(sphere.sectorCount, 24);
+    assert.equal(sphere.stride, 48);
+});
+
+test("worker failure builds synchronously with the requested tex coord options", async () =>
+{
+    let sphere = new Sphere(null, 1, 8, 4);
+    let promise = sphere.setAsync(1, 16, 8, true, 1, { flipS:true });
+    Sphere.onWorkerError({ message:"test" });
+    await promise;
+    assert.equal(sphere.sectorCount, 16);
+    assert.equal(sphere.texCoordOptions.flipS, true);
+    assert.equal(sphere.texCoords[0], 1);       // s of the first vertex is flipped
+});
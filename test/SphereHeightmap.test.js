@@ -0,0 +1,92 @@
+///////////////////////////////////////////////////////////////////////////////
+// SphereHeightmap.test.js
+// =======================
+// displace headless spheres with synthetic height arrays
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+
+const EPSILON = 1e-5;
+
+// heightmap of width x height where each column has the height of its index
+function createColumnHeightmap(width, height, step)
+{
+    let data = new Float32Array(width * height);
+    for(let i = 0; i < data.length; ++i)
+        data[i] = (i % width) * step;
+    return {width: width, height: height, data: data};
+}
+
+test("column 0 of the heightmap is at the left edge, longitude -180", () =>
+{
+    let heightmap = createColumnHeightmap(8, 4, 0.01);
+    // the first column center is at sector angle 0.5 / 8 * 2pi, geographic -157.5
+    assert.ok(Math.abs(Sphere.sampleHeightmap(heightmap, 0, 0.5 / 8 * 2 * Math.PI)) < EPSILON);
+    assert.ok(Math.abs(Sphere.sampleHeightmap(heightmap, 0, 7.5 / 8 * 2 * Math.PI) - 0.07) < EPSILON);
+    // bilinear between 2 columns, and wrapped across the seam
+    assert.ok(Math.abs(Sphere.sampleHeightmap(heightmap, 0, 2 / 8 * 2 * Math.PI) - 0.015) < EPSILON);
+    assert.ok(Math.abs(Sphere.sampleHeightmap(heightmap, 0, 0) - 0.035) < EPSILON);
+    // a pole is the average of its row
+    assert.ok(Math.abs(Sphere.sampleHeightmap(heightmap, Math.PI / 2, 1) - 0.035) < EPSILON);
+});
+
+test("vertices are displaced along the normal by the exaggerated height", () =>
+{
+    let heightmap = createColumnHeightmap(8, 4, 0.01);
+    let sphere = new Sphere(null, 1, 16, 8);
+    sphere.setHeightmap(heightmap, 2);
+    let v = sphere.vertices;
+    for(let k = 0; k < sphere.getVertexCount(); ++k)
+    {
+        let x = v[k*3], y = v[k*3+1], z = v[k*3+2];
+        let lat = Math.asin(z / Math.hypot(x, y, z));
+        let sectorAngle = (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI);
+        let expected = 1 + 2 * Sphere.sampleHeightmap(heightmap, lat, sectorAngle);
+        assert.ok(Math.abs(Math.hypot(x, y, z) - expected) < EPSILON);
+    }
+
+    // odd sectors are at the column centers, column c is 1 + 2 * c * 0.01 high
+    let row = 4 * (16 + 1);     // the equator
+    for(let j = 1; j < 16; j += 2)
+        assert.ok(Math.abs(Math.hypot(v[(row + j)*3], v[(row + j)*3+1]) - (1 + 0.02 * (j - 1) / 2)) < EPSILON);
+});
+
+test("normals of a flat heightmap stay radial, of a sloped one tilt", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let flat = new Sphere(null, 1, 24, 12, smooth);
+        flat.setHeightmap({width: 4, height: 2, data: new Float32Array(8).fill(0.1)});
+        let reference = new Sphere(null, 1.1, 24, 12, smooth);
+        for(let i = 0; i < flat.vertices.length; ++i)
+            assert.ok(Math.abs(flat.vertices[i] - reference.vertices[i]) < EPSILON);
+        // smooth normals are area-weighted from the faces, a few degrees off
+        // next to the poles where the triangles around a vertex are uneven
+        for(let i = 0; i < flat.normals.length; i += 3)
+        {
+            let cosine = flat.normals[i]   * reference.normals[i] +
+                         flat.normals[i+1] * reference.normals[i+1] +
+                         flat.normals[i+2] * reference.normals[i+2];
+            assert.ok(cosine > (smooth ? Math.cos(5 * Math.PI / 180) : 1 - EPSILON));
+        }
+
+        let sloped = new Sphere(null, 1, 24, 12, smooth);
+        sloped.setHeightmap(createColumnHeightmap(8, 4, 0.05));
+        let tilted = 0;
+        for(let k = 0; k < sloped.getVertexCount(); ++k)
+        {
+            let n = [sloped.normals[k*3], sloped.normals[k*3+1], sloped.normals[k*3+2]];
+            let p = [sloped.vertices[k*3], sloped.vertices[k*3+1], sloped.vertices[k*3+2]];
+            let length = Math.hypot(...p);
+            let cosine = (n[0] * p[0] + n[1] * p[1] + n[2] * p[2]) / length;
+            assert.ok(Math.abs(Math.hypot(...n) - 1) < EPSILON);
+            assert.ok(cosine > 0);                  // outward
+            if(cosine < 1 - 1e-3)
+                ++tilted;
+        }
+        assert.ok(tilted > sloped.getVertexCount() / 2);
+    }
+});
@@ -0,0 +1,80 @@
+///////////////////////////////////////////////////////////////////////////////
+// SphereTangents.test.js
+// ======================
+// check the direction and handedness of the tangents of headless spheres
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+
+const EPSILON = 1e-5;
+const LAYOUT = ["vertex", "normal", "texCoord", "tangent"];
+
+// The tangent is a unit vector orthogonal to the normal, along +s, which is
+// east (west if flipped), and cross(n, t) * w goes south along +t.
+function checkTangents(sphere, flip)
+{
+    let v = sphere.vertices, n = sphere.normals, t = sphere.tangents;
+    let checked = 0;
+    for(let k = 0; k < sphere.getVertexCount(); ++k)
+    {
+        let x = v[k * 3], y = v[k * 3 + 1];
+        if(Math.hypot(x, y) < EPSILON)
+            continue;   // pole, no east
+
+        let tangent = [t[k * 4], t[k * 4 + 1], t[k * 4 + 2]];
+        let normal = [n[k * 3], n[k * 3 + 1], n[k * 3 + 2]];
+        assert.ok(Math.abs(Math.hypot(...tangent) - 1) < EPSILON);
+        assert.ok(Math.abs(tangent[0] * normal[0] + tangent[1] * normal[1] + tangent[2] * normal[2]) < EPSILON);
+
+        let lon = Math.atan2(y, x);
+        let east = [-Math.sin(lon) * flip, Math.cos(lon) * flip, 0];
+        assert.ok(tangent[0] * east[0] + tangent[1] * east[1] > 0.9);
+        assert.equal(t[k * 4 + 3], -flip);
+        ++checked;
+    }
+    assert.ok(checked > 0);
+}
+
+test("flipped tangents point along +s, to the west", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let sphere = new Sphere(null, 1, 36, 18, smooth, 1, LAYOUT, {flipS:true});
+        checkTangents(sphere, -1);
+    }
+});
+
+test("tangents are orthogonal to the normal and point along +s, to the east", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let sphere = new Sphere(null, 1, 36, 18, smooth, 1, LAYOUT);
+        checkTangents(sphere, 1);
+    }
+});
+
+test("bitangent cross(n, t) * w points along +t, to the south", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let sphere = new Sphere(null, 1, 36, 18, smooth, 1, LAYOUT);
+        let n = sphere.normals, t = sphere.tangents, v = sphere.vertices;
+        for(let k = 0; k < sphere.getVertexCount(); ++k)
+        {
+            let x = v[k * 3], y = v[k * 3 + 1], z = v[k * 3 + 2];
+            if(Math.hypot(x, y) < EPSILON)
+                continue;
+            let bx = (n[k*3+1] * t[k*4+2] - n[k*3+2] * t[k*4+1]) * t[k*4+3];
+            let by = (n[k*3+2] * t[k*4]   - n[k*3]   * t[k*4+2]) * t[k*4+3];
+            let bz = (n[k*3]   * t[k*4+1] - n[k*3+1] * t[k*4])   * t[k*4+3];
+            // south: z goes down, and x,y toward the axis at the north
+            let lat = Math.atan2(z, Math.hypot(x, y));
+            let lon = Math.atan2(y, x);
+            let south = [Math.sin(lat) * Math.cos(lon), Math.sin(lat) * Math.sin(lon), -Math.cos(lat)];
+            assert.ok(bx * south[0] + by * south[1] + bz * south[2] > 0.9);
+        }
+    }
+});
@@ -0,0 +1,107 @@
+///////////////////////////////////////////////////////////////////////////////
+// SphereTexCoords.test.js
+// =======================
+// check the tex coord options of Sphere (Mercator, lonOffset, flipS and
+// polarCorrection) on headless builds
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Sphere } from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/Sphere.js";
+
+const EPSILON = 1e-5;
+
+// true if the vertex is at a pole, on the Z axis
+function isPole(sphere, k)
+{
+    return Math.hypot(sphere.vertices[k * 3], sphere.vertices[k * 3 + 1]) < EPSILON;
+}
+
+// call back with the index of each vertex not at a pole
+function forEachVertex(sphere, callback)
+{
+    for(let k = 0; k < sphere.getVertexCount(); ++k)
+    {
+        if(!isPole(sphere, k))
+            callback(k);
+    }
+}
+
+// distance of 2 values of s on a circle of length 1, so 0 and 1 are equal
+function wrappedDistance(a, b)
+{
+    let d = Math.abs(a - b) % 1;
+    return Math.min(d, 1 - d);
+}
+
+test("Mercator t follows the Mercator y of the latitude, clamped at the cutoff", () =>
+{
+    let cutoff = 85.05112878;
+    let yMax = Math.log(Math.tan(Math.PI / 4 + cutoff * Math.PI / 360));
+    let sphere = new Sphere(null, 1, 36, 18, true, 1, Sphere.DEFAULT_LAYOUT,
+                            {mode:Sphere.TexCoordMode.MERCATOR, mercatorCutoff:cutoff});
+    for(let k = 0; k < sphere.getVertexCount(); ++k)
+    {
+        let lat = Math.asin(Math.max(-1, Math.min(1, sphere.normals[k * 3 + 2])));
+        lat = Math.max(-cutoff * Math.PI / 180, Math.min(cutoff * Math.PI / 180, lat));
+        let y = Math.log(Math.tan(Math.PI / 4 + lat / 2));
+        assert.ok(Math.abs(sphere.texCoords[k * 2 + 1] - (0.5 - y / (2 * yMax))) < EPSILON);
+    }
+});
+
+test("lonOffset moves s by the offset and keeps the seam at 0 and 1", () =>
+{
+    for(let lonOffset of [0, 90, 180, -45])
+    {
+        let sphere = new Sphere(null, 1, 36, 18, true, 1, Sphere.DEFAULT_LAYOUT, {lonOffset:lonOffset});
+        let s = sphere.texCoords.filter((v, i) => i % 2 == 0);
+        assert.equal(Math.min(...s), 0);
+        assert.equal(Math.max(...s), 1);
+        forEachVertex(sphere, (k) =>
+        {
+            let lon = Math.atan2(sphere.normals[k * 3 + 1], sphere.normals[k * 3]);
+            let expected = (lon + lonOffset * Math.PI / 180) / (2 * Math.PI);
+            assert.ok(wrappedDistance(sphere.texCoords[k * 2], expected) < EPSILON);
+        });
+    }
+});
+
+test("flipS mirrors s and keeps t", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let sphere = new Sphere(null, 1, 24, 12, smooth);
+        let flipped = new Sphere(null, 1, 24, 12, smooth, 1, Sphere.DEFAULT_LAYOUT, {flipS:true});
+        assert.equal(flipped.getVertexCount(), sphere.getVertexCount());
+        for(let k = 0; k < sphere.getVertexCount(); ++k)
+        {
+            assert.ok(Math.abs(flipped.texCoords[k * 2] - (1 - sphere.texCoords[k * 2])) < EPSILON);
+            assert.ok(Math.abs(flipped.texCoords[k * 2 + 1] - sphere.texCoords[k * 2 + 1]) < EPSILON);
+        }
+    }
+});
+
+test("polarCorrection moves the pole vertex to the middle of its triangle", () =>
+{
+    for(let smooth of [true, false])
+    {
+        let sphere = new Sphere(null, 1, 24, 12, smooth, 1, Sphere.DEFAULT_LAYOUT, {polarCorrection:true});
+        let t = sphere.texCoords;
+        let poleCount = 0;
+        for(let i = 0; i < sphere.indices.length; i += 3)
+        {
+            let triangle = [sphere.indices[i], sphere.indices[i+1], sphere.indices[i+2]];
+            for(let j = 0; j < 3; ++j)
+            {
+                let k = triangle[j];
+                if(!isPole(sphere, k))
+                    continue;
+                let middle = (t[triangle[(j+1)%3] * 2] + t[triangle[(j+2)%3] * 2]) / 2;
+                assert.ok(Math.abs(t[k * 2] - middle) < EPSILON);
+                ++poleCount;
+            }
+        }
+        assert.equal(poleCount, 2 * 24);     // 1 pole vertex per triangle of both pole stacks
+    }
+});
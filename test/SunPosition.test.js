@@ -0,0 +1,55 @@
+///////////////////////////////////////////////////////////////////////////////
+// SunPosition.test.js
+// ===================
+// subsolar points of known dates, at the solstice and the equinoxes
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSunPosition, computeSunDirection }
+    from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/SunPosition.js";
+
+// The longitude is 15 degree per hour from noon UTC, minus the equation of
+// time (apparent - mean solar time, in minutes) / 4.
+function expectedLon(hoursUtc, equationOfTime)
+{
+    return (12 - hoursUtc) * 15 - equationOfTime / 4;
+}
+
+test("June solstice of the example has the sun over the Tropic of Cancer", () =>
+{
+    let sun = computeSunPosition(new Date("2024-06-20T20:51:00Z"));
+    assert.ok(Math.abs(sun.lat - 23.44) < 0.01);
+    assert.ok(Math.abs(sun.lon - expectedLon(20.85, -1.6)) < 0.2);  // -132.3
+    assert.equal(sun.lat, sun.declination);
+});
+
+test("equinoxes have the sun over the equator", () =>
+{
+    for(let [date, hours, equationOfTime] of [["2024-03-20T03:06:00Z", 3.1, -7.4],
+                                             ["2024-09-22T12:44:00Z", 12 + 44 / 60, 7.4]])
+    {
+        let sun = computeSunPosition(new Date(date));
+        assert.ok(Math.abs(sun.lat) < 0.02, date);
+        assert.ok(Math.abs(sun.lon - expectedLon(hours, equationOfTime)) < 0.2, date);
+    }
+});
+
+test("longitude is the negative Greenwich hour angle in [-180, 180)", () =>
+{
+    for(let hours = 0; hours < 24; hours += 3)
+    {
+        let sun = computeSunPosition(Date.UTC(2024, 0, 1, hours));
+        assert.ok(sun.lon >= -180 && sun.lon < 180);
+        let d = ((sun.lon + sun.hourAngle) % 360 + 360) % 360;
+        assert.ok(Math.min(d, 360 - d) < 1e-9);
+    }
+});
+
+test("sun direction is a unit vector at the subsolar latitude", () =>
+{
+    let direction = computeSunDirection(new Date("2024-06-20T20:51:00Z"));
+    assert.ok(Math.abs(Math.hypot(...direction) - 1) < 1e-9);
+    assert.ok(Math.abs(direction[2] - Math.sin(23.44 * Math.PI / 180)) < 0.001);
+});
@@ -0,0 +1,80 @@
+///////////////////////////////////////////////////////////////////////////////
+// geomutils.test.js
+// =================
+// pick the globe and project lat/lon with the camera of the demo, without GL
+// run with "npm test" (node:test, no dependencies)
+///////////////////////////////////////////////////////////////////////////////
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickSphere, projectLatLon, multiplyMatrices, latLonToPoint, pointToLatLon }
+    from "../webglsphere-texture-controls-zoom-rotate-no-atmosphere/geomutils.js";
+
+const EPSILON = 1e-4;
+const WIDTH = 400;
+const HEIGHT = 300;
+
+// column-major perspective of 45 degree
+const PROJECTION = (() =>
+{
+    let f = 1 / Math.tan(Math.PI / 8);
+    let near = 0.1, far = 100;
+    return [f * HEIGHT / WIDTH, 0, 0, 0,
+            0, f, 0, 0,
+            0, 0, (near + far) / (near - far), -1,
+            0, 0, 2 * near * far / (near - far), 0];
+})();
+
+// Z-up globe turned -90 degree about X (same as the demo), 3 units in front
+// of the camera, so the camera looks at -Y of the globe, longitude 90
+const MODEL_VIEW = multiplyMatrices([1, 0, 0, 0,  0, 1, 0, 0,  0, 0, 1, 0,  0, 0, -3, 1],
+                                    [1, 0, 0, 0,  0, 0, -1, 0,  0, 1, 0, 0,  0, 0, 0, 1]);
+
+test("lat/lon and points convert both ways", () =>
+{
+    for(let [lat, lon] of [[0, 0], [41, 29], [-33.9, 151.2], [60, -120]])
+    {
+        let coord = pointToLatLon(latLonToPoint(lat, lon, 2));
+        assert.ok(Math.abs(coord.lat - lat) < EPSILON);
+        assert.ok(Math.abs(coord.lon - lon) < EPSILON);
+    }
+});
+
+test("ray through the center of the canvas hits the globe facing the camera", () =>
+{
+    let hit = pickSphere(WIDTH / 2, HEIGHT / 2, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1);
+    assert.ok(hit);
+    assert.ok(Math.abs(hit.lat) < EPSILON);
+    assert.ok(Math.abs(hit.lon - 90) < EPSILON);
+    assert.ok(Math.abs(hit.point[1] + 1) < EPSILON);
+});
+
+test("ray beside the globe misses it", () =>
+{
+    assert.equal(pickSphere(0, 0, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1), null);
+    assert.equal(pickSphere(WIDTH - 1, HEIGHT / 2, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1), null);
+});
+
+test("projected lat/lon is picked back at the same lat/lon", () =>
+{
+    for(let [lat, lon] of [[0, 90], [10, 80], [-15, 100], [12.5, 110]])
+    {
+        let screen = projectLatLon(lat, lon, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1);
+        assert.ok(screen.visible);
+        let hit = pickSphere(screen.x, screen.y, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1);
+        assert.ok(hit);
+        assert.ok(Math.abs(hit.lat - lat) < 1e-3);
+        assert.ok(Math.abs(hit.lon - lon) < 1e-3);
+    }
+});
+
+test("lat/lon on the far side is not visible, and picks the near side", () =>
+{
+    let screen = projectLatLon(0, -90, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1);
+    assert.equal(screen.visible, false);
+    assert.ok(Math.abs(screen.x - WIDTH / 2) < EPSILON);
+    assert.ok(Math.abs(screen.y - HEIGHT / 2) < EPSILON);
+
+    let hit = pickSphere(screen.x, screen.y, WIDTH, HEIGHT, PROJECTION, MODEL_VIEW, 1);
+    assert.ok(Math.abs(hit.lon - 90) < EPSILON);
+});
@@ -0,0 +1,91 @@
+///////////////////////////////////////////////////////////////////////////////
+// AnimationModes.js
+// =================
+// easing modes of animation and interpolation with them
+// The alpha param is the linear progress of animation in [0, 1], and
+// getInterpolateAlpha() recomputes it with the easing curve of the mode.
+//
+//  AUTHOR: Song Ho Ahn (song.ahn@gmail.com)
+// CREATED: 2021-07-21
+// UPDATED: 2021-07-21
+///////////////////////////////////////////////////////////////////////////////
+
+export let AnimationMode = {
+    LINEAR: 0,
+    EASE_IN: 1,
+    EASE_IN2: 2, // using circle
+    EASE_OUT: 3,
+    EASE_OUT2: 4, // using circle
+    EASE_IN_OUT: 5,
+    EASE_IN_OUT2: 6, // using circle
+    BOUNCE: 7,
+    ELASTIC: 8
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// recompute interpolate alpha value based on mode
+///////////////////////////////////////////////////////////////////////////////
+export function getInterpolateAlpha(alpha, mode)
+{
+    //let HALF_PI = Math.PI * 0.5;
+    let t = alpha;
+
+    // recompute alpha based on animation mode
+    if(mode == AnimationMode.EASE_IN)
+    {
+        //t = 1 - Math.cos(HALF_PI * alpha);
+        t = alpha * alpha * alpha;
+    }
+    else if(mode == AnimationMode.EASE_IN2)
+    {
+        t = 1 - Math.sqrt(1 - alpha * alpha);
+    }
+    else if(mode == AnimationMode.EASE_OUT)
+    {
+        //t = Math.sin(HALF_PI * alpha);
+        let beta = 1 - alpha;
+        t = 1 - beta * beta * beta;
+    }
+    else if(mode == AnimationMode.EASE_OUT2)
+    {
+        t = Math.sqrt(1 - (1 - alpha) * (1 - alpha));
+    }
+    else if(mode == AnimationMode.EASE_IN_OUT)
+    {
+        //t = 0.5 * (1 - Math.cos(Math.PI * alpha));
+        let beta = 1 - alpha;
+        let scale = 4.0;     // 0.5 / (0.5^3)
+        if(alpha < 0.5)
+            t = alpha * alpha * alpha * scale;
+        else
+            t = 1 - (beta * beta * beta * scale);
+    }
+    else if(mode == AnimationMode.EASE_IN_OUT2)
+    {
+        if(alpha < 0.5)
+            t = 0.5 * (1 - Math.sqrt(1 - alpha * alpha));
+        else
+            t = 0.5 * Math.sqrt(1 - (1 - alpha) * (1 - alpha)) + 0.5;
+    }
+    else if(mode == AnimationMode.BOUNCE)
+    {
+    }
+    else if(mode == AnimationMode.ELASTIC)
+    {
+    }
+
+    return t;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// 1D interpolation
+///////////////////////////////////////////////////////////////////////////////
+export function interpolate(from, to, alpha, mode)
+{
+    let t = getInterpolateAlpha(alpha, mode);
+    return from +  (to - from) * t;
+}
@@ -0,0 +1,375 @@
+///////////////////////////////////////////////////////////////////////////////
+// Cubesphere.js
+// =============
+// Quad sphere made by projecting the 6 faces of a subdivided cube onto the
+// sphere. Each face is a (divisions x divisions) grid of equal angles, so the
+// cells have almost the same size all over the sphere, and the 6 faces are a
+// natural partition for tiles and level of detail.
+// With default constructor, it creates a cubesphere with radius=1,
+// divisions=16, smooth=true and equirectangular tex coords.
+//
+// Tex coord modes
+// ===============
+// Cubesphere.TexCoordMode.EQUIRECTANGULAR: same (s,t) as Sphere, for a world
+//   map image. The vertices on the seam and at the poles are duplicated. The
+//   divisions are rounded up to even, so a vertex lands on each pole instead
+//   of a grid line crossing it.
+// Cubesphere.TexCoordMode.FACE: each face has its own (s,t) in [0,1], for
+//   cube-map images. s follows the u axis of the face and t goes down along
+//   the v axis. The indices are stored face by face in Cubesphere.Face order
+//   (same as gl.TEXTURE_CUBE_MAP_POSITIVE_X...), so a face can be drawn alone:
+//  let count = cubesphere.getFaceIndexCount();
+//  gl.drawElements(gl.TRIANGLES, count, cubesphere.indexType, face * count * 2);
+//
+// The drawing surface is same as Sphere (vboVertex, vboIndex, stride=32,
+// indexType, drawRanges).
+//
+// The GL context is optional, same as Sphere; call upload(gl) later.
+//
+// This file depends on:
+// Sphere.js
+// Icosphere.js
+///////////////////////////////////////////////////////////////////////////////
+
+import { Sphere } from "./Sphere.js";
+import { Icosphere } from "./Icosphere.js";
+
+export let Cubesphere = function(gl=null, radius=1, divisions=16, smooth=true, texCoordMode=Cubesphere.TexCoordMode.EQUIRECTANGULAR)
+{
+    this.gl = gl;
+
+    this.radius = 1;
+    this.divisions = 16;
+    this.smooth = true;
+    this.texCoordMode = Cubesphere.TexCoordMode.EQUIRECTANGULAR;
+    this.vertices = [];
+    this.normals = [];
+    this.texCoords = [];
+    this.indices = [];
+    this.interleavedVertices = [];
+    this.layout = Sphere.DEFAULT_LAYOUT;    // no tangents
+    this.stride = 32;   // stride for interleaved vertices, always=32
+    this.offsets = {};
+    if(gl)
+    {
+        this.vboVertex = gl.createBuffer();
+        this.vboIndex = gl.createBuffer();
+    }
+    this.indexType = Sphere.UNSIGNED_SHORT;
+    this.drawRanges = [];
+    // init
+    this.set(radius, divisions, smooth, texCoordMode);
+};
+
+Cubesphere.TexCoordMode = { EQUIRECTANGULAR:0, FACE:1 };
+Cubesphere.Face = { POSITIVE_X:0, NEGATIVE_X:1, POSITIVE_Y:2, NEGATIVE_Y:3, POSITIVE_Z:4, NEGATIVE_Z:5 };
+
+// the flat build of 42 divisions has 63504 vertices, the limit of 16-bit indices
+Cubesphere.MAX_DIVISIONS = 42;
+
+// center (n) and the 2 axes (u, v) of each face, u x v = n
+Cubesphere.FACE_AXES = [
+    {n:[ 1, 0, 0], u:[ 0, 1, 0], v:[ 0, 0, 1]},     // +X
+    {n:[-1, 0, 0], u:[ 0,-1, 0], v:[ 0, 0, 1]},     // -X
+    {n:[ 0, 1, 0], u:[-1, 0, 0], v:[ 0, 0, 1]},     // +Y
+    {n:[ 0,-1, 0], u:[ 1, 0, 0], v:[ 0, 0, 1]},     // -Y
+    {n:[ 0, 0, 1], u:[ 0, 1, 0], v:[-1, 0, 0]},     // +Z
+    {n:[ 0, 0,-1], u:[ 0, 1, 0], v:[ 1, 0, 0]}      // -Z
+];
+
+Cubesphere.prototype =
+{
+    set: function(r, d, sm, mode)
+    {
+        this.radius = r;
+        this.divisions = d;
+        if(d < 1)
+            this.divisions = 1;
+        if(d > Cubesphere.MAX_DIVISIONS)
+            this.divisions = Cubesphere.MAX_DIVISIONS;
+        this.smooth = sm;
+        if(mode !== undefined)
+            this.texCoordMode = mode;
+        // odd divisions put a grid line through the pole, where the pole
+        // triangles span half of the texture; MAX_DIVISIONS is even
+        if(this.texCoordMode == Cubesphere.TexCoordMode.EQUIRECTANGULAR && this.divisions % 2)
+            this.divisions++;
+        if(sm)
+            this.buildVerticesSmooth();
+        else
+            this.buildVerticesFlat();
+        return this;
+    },
+    setRadius: function(r)
+    {
+        if(this.radius != r)
+            this.set(r, this.divisions, this.smooth);
+        return this;
+    },
+    setDivisions: function(d)
+    {
+        if(this.divisions != d)
+            this.set(this.radius, d, this.smooth);
+        return this;
+    },
+    setSmooth: function(s)
+    {
+        if(this.smooth != s)
+        {
+            this.smooth = s;
+            if(this.smooth)
+                this.buildVerticesSmooth();
+            else
+                this.buildVerticesFlat();
+        }
+        return this;
+    },
+    setTexCoordMode: function(mode)
+    {
+        if(this.texCoordMode != mode)
+            this.set(this.radius, this.divisions, this.smooth, mode);
+        return this;
+    },
+    getTriangleCount: function()
+    {
+        return this.getIndexCount() / 3;
+    },
+    getIndexCount: function()
+    {
+        return this.indices.length;
+    },
+    getFaceIndexCount: function()
+    {
+        return this.getIndexCount() / 6;
+    },
+    getVertexCount: function()
+    {
+        return this.vertices.length / 3;
+    },
+    getNormalCount: function()
+    {
+        return this.normals.length / 3;
+    },
+    getTexCoordCount: function()
+    {
+        return this.texCoords.length / 2;
+    },
+    toString: function()
+    {
+        return "===== Cubesphere =====\n" +
+               "        Radius: " + this.radius + "\n" +
+               "     Divisions: " + this.divisions + "\n" +
+               " Smooth Shader: " + this.smooth + "\n" +
+               " TexCoord Mode: " + (this.texCoordMode == Cubesphere.TexCoordMode.FACE ? "face" : "equirectangular") + "\n" +
+               "Triangle Count: " + this.getTriangleCount() + "\n" +
+               "   Index Count: " + this.getIndexCount() + "\n" +
+               "  Vertex Count: " + this.getVertexCount() + "\n" +
+               "  Normal Count: " + this.getNormalCount() + "\n" +
+               "TexCoord Count: " + this.getTexCoordCount() + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate vertices of cubesphere with smooth shading
+    // The vertices are shared inside a face, but not between faces. With
+    // equirectangular tex coords, a vertex is copied once per s value that
+    // its triangles need (seam and poles).
+    ///////////////////////////////////////////////////////////////////////////
+    buildVerticesSmooth: function()
+    {
+        let mesh = Cubesphere.buildUnitMesh(this.divisions);
+        let positions = mesh.positions;
+        let triangles = mesh.indices;
+        let r = this.radius;
+        let vertices = [];
+        let normals = [];
+        let texCoords = [];
+        let indices = [];
+        let sharedIndices = {};     // key: "<unit vertex index>_<s>"
+        let i, j, k, key, index, x, y, z, st;
+
+        if(this.texCoordMode == Cubesphere.TexCoordMode.FACE)
+        {
+            for(i = 0; i < positions.length; ++i)
+            {
+                vertices.push(positions[i] * r);
+                normals.push(positions[i]);
+            }
+            this.copyArrays(vertices, normals, mesh.texCoords, triangles);
+        }
+        else
+        {
+            for(i = 0; i < triangles.length; i += 3)
+            {
+                st = Icosphere.computeTriangleTexCoords(positions, triangles[i], triangles[i+1], triangles[i+2]);
+                for(j = 0; j < 3; ++j)
+                {
+                    k = triangles[i+j];
+                    key = k + "_" + st[j*2];
+                    index = sharedIndices[key];
+                    if(index === undefined)
+                    {
+                        x = positions[k*3];
+                        y = positions[k*3+1];
+                        z = positions[k*3+2];
+                        index = vertices.length / 3;
+                        vertices.push(x * r, y * r, z * r);
+                        normals.push(x, y, z);
+                        texCoords.push(st[j*2], st[j*2+1]);
+                        sharedIndices[key] = index;
+                    }
+                    indices.push(index);
+                }
+            }
+            this.copyArrays(vertices, normals, texCoords, indices);
+        }
+
+        // generate interleaved vertex array as well
+        this.buildInterleavedVertices();
+        this.buildDrawRanges();
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate vertices of cubesphere with flat shading
+    // every triangle has its own 3 vertices with the face normal
+    ///////////////////////////////////////////////////////////////////////////
+    buildVerticesFlat: function()
+    {
+        let mesh = Cubesphere.buildUnitMesh(this.divisions);
+        let positions = mesh.positions;
+        let triangles = mesh.indices;
+        let count = triangles.length;
+        let vertices = new Float32Array(count * 3);
+        let normals = new Float32Array(count * 3);
+        let texCoords = new Float32Array(count * 2);
+        let indices = new Uint16Array(count);
+        let r = this.radius;
+        let i, j, k1, k2, k3, n, st;
+
+        for(i = 0; i < count; i += 3)
+        {
+            k1 = triangles[i] * 3;
+            k2 = triangles[i+1] * 3;
+            k3 = triangles[i+2] * 3;
+            vertices.set([positions[k1] * r, positions[k1+1] * r, positions[k1+2] * r,
+                          positions[k2] * r, positions[k2+1] * r, positions[k2+2] * r,
+                          positions[k3] * r, positions[k3+1] * r, positions[k3+2] * r], i * 3);
+
+            n = Sphere.computeFaceNormal(positions[k1], positions[k1+1], positions[k1+2],
+                                         positions[k2], positions[k2+1], positions[k2+2],
+                                         positions[k3], positions[k3+1], positions[k3+2]);
+            for(j = 0; j < 3; ++j)
+                normals.set(n, (i + j) * 3);
+
+            if(this.texCoordMode == Cubesphere.TexCoordMode.FACE)
+            {
+                for(j = 0; j < 3; ++j)
+                {
+                    texCoords[(i+j)*2]   = mesh.texCoords[triangles[i+j]*2];
+                    texCoords[(i+j)*2+1] = mesh.texCoords[triangles[i+j]*2+1];
+                }
+            }
+            else
+            {
+                st = Icosphere.computeTriangleTexCoords(positions, triangles[i], triangles[i+1], triangles[i+2]);
+                texCoords.set(st, i * 2);
+            }
+
+            indices[i]   = i;
+            indices[i+1] = i + 1;
+            indices[i+2] = i + 2;
+        }
+
+        this.vertices = vertices;
+        this.normals = normals;
+        this.texCoords = texCoords;
+        this.indices = indices;
+
+        // generate interleaved vertex array as well
+        this.buildInterleavedVertices();
+        this.buildDrawRanges();
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // set GL context of a headless cubesphere and copy its data to VBOs
+    ///////////////////////////////////////////////////////////////////////////
+    upload: function(gl)
+    {
+        this.gl = gl;
+        this.buildVbos();
+        return this;
+    },
+
+    // copying, interleaving, uploading and disposing are identical to Icosphere/Sphere
+    // The vertices always fit in 16-bit indices, so there is 1 draw range.
+    copyArrays: Icosphere.prototype.copyArrays,
+    buildInterleavedVertices: Sphere.prototype.buildInterleavedVertices,
+    buildDrawRanges: Sphere.prototype.buildDrawRanges,
+    buildVbos: Sphere.prototype.buildVbos,
+    dispose: Sphere.prototype.dispose
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// class (static) functions
+///////////////////////////////////////////////////////////////////////////////
+
+///////////////////////////////////////////////////////////////////////////////
+// build 6 face grids of a cubesphere with radius 1
+// It returns unit positions, per-face tex coords and indices, face by face.
+// A grid point is the intersection of 2 planes at equal angles,
+//   p = normalize(n + tan(a) * u + tan(b) * v), where -45 <= a, b <= 45
+//
+//  k3--k4
+//  | \  |      v
+//  |  \ |      |
+//  k1--k2      +--u
+///////////////////////////////////////////////////////////////////////////////
+Cubesphere.buildUnitMesh = function(divisions)
+{
+    let positions = [];
+    let texCoords = [];
+    let indices = [];
+    let angleStep = Math.PI / 2 / divisions;
+    let face, axes, n, u, v, i, j, a, b, x, y, z, scale, base, k1, k2, k3, k4;
+
+    for(face = 0; face < 6; ++face)
+    {
+        axes = Cubesphere.FACE_AXES[face];
+        n = axes.n;
+        u = axes.u;
+        v = axes.v;
+        base = positions.length / 3;
+
+        for(j = 0; j <= divisions; ++j)
+        {
+            b = Math.tan(-Math.PI / 4 + j * angleStep);
+            for(i = 0; i <= divisions; ++i)
+            {
+                a = Math.tan(-Math.PI / 4 + i * angleStep);
+                x = n[0] + a * u[0] + b * v[0];
+                y = n[1] + a * u[1] + b * v[1];
+                z = n[2] + a * u[2] + b * v[2];
+                scale = 1 / Math.sqrt(x * x + y * y + z * z);
+                positions.push(x * scale, y * scale, z * scale);
+                texCoords.push(i / divisions, 1 - j / divisions);
+            }
+        }
+
+        for(j = 0; j < divisions; ++j)
+        {
+            k1 = base + j * (divisions + 1);
+            k3 = k1 + divisions + 1;
+            for(i = 0; i < divisions; ++i, ++k1, ++k3)
+            {
+                k2 = k1 + 1;
+                k4 = k3 + 1;
+                indices.push(k1, k2, k4);
+                indices.push(k1, k4, k3);
+            }
+        }
+    }
+    return {positions: positions, texCoords: texCoords, indices: indices};
+};
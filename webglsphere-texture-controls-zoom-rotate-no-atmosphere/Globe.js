@@ -0,0 +1,1242 @@
+///////////////////////////////////////////////////////////////////////////////
+// Globe.js
+// ========
+// textured globe on a canvas, with mouse and keyboard controls
+// It draws the Sphere (or its GlobeLod patches) with the sun lighting, night
+// lights, relief, ocean glint, clouds, atmosphere, graticule and the star
+// background, and morphs it to a flat map. All state is in the instance, and
+// the listeners are on its own canvas, so several globes can run on the same
+// page, each with its own GL context.
+//
+// The options are merged with Globe.DEFAULT_OPTIONS:
+//  texture:         URL of the base map (equirectangular), "world2.webp" by default
+//  nightTexture, cloudTexture, waterMask, normalMap, occlusionMap:
+//                   URLs of the optional maps, see Globe.TEXTURES
+//  sky:             URL of an equirectangular star map for the background
+//  skybox:          6 URLs of a cube map in the order of +X,-X,+Y,-Y,+Z,-Z
+//  sectorCount, stackCount: tessellation of the sphere (not LOD)
+//  lod:             draw the GlobeLod patches instead of the whole sphere
+//  zoom, zoomMin, zoomMax: zoom factor and its limits for the mouse wheel
+//  autoRotate:      turn the globe when it is not dragged or zoomed
+//  autoRotateSpeed: degree per frame at zoom 1
+//  autoRotateDelay: ms after the last drag or zoom to turn again
+//  time:            UTC date/time of the sun (Date or string), or the clock
+//  keyTarget:       element listening to the keys, null for no keys
+//                   (the canvas by default, which must have the focus)
+//  onClick:         function(hit) called with {lat, lon}, or null if the
+//                   click misses the globe
+//  onDraw:          function(globe) called after each frame
+//
+// The drawing buffer follows the size of the canvas in CSS pixels, with a
+// ResizeObserver. The shaders are in GlobeShaders.js, and the page must load
+// webgl-utils.js and m4.js of webglfundamentals.org.
+//
+// Example
+// =======
+//  let globe = new Globe(document.querySelector("#c"), {texture:"world2.webp", zoomMax:3});
+//  globe.start();
+//  globe.setView(41.0, 29.0, 2);     // look at lat/lon with zoom 2
+//  globe.setTexture("clouds.jpg", "uCloudTexture");
+//  globe.destroy();                   // stop and delete all GL resources
+//
+// This file depends on:
+// Sphere.js, Graticule.js, GlobeLod.js, Starfield.js, MeshExporter.js
+// AnimationModes.js, geomutils.js, SunPosition.js, GlobeShaders.js
+///////////////////////////////////////////////////////////////////////////////
+
+import { Sphere } from "./Sphere.js";
+import { Graticule } from "./Graticule.js";
+import { MeshExporter } from "./MeshExporter.js";
+import { AnimationMode, interpolate } from "./AnimationModes.js";
+import { GlobeLod } from "./GlobeLod.js";
+import { pickSphere, projectLatLon, invertMatrix, transformPoint } from "./geomutils.js";
+import { computeSunDirection } from "./SunPosition.js";
+import { Starfield } from "./Starfield.js";
+import { GlobeShaders } from "./GlobeShaders.js";
+
+export let Globe = function(canvas, options={})
+{
+    this.canvas = canvas;
+    this.options = Object.assign({}, Globe.DEFAULT_OPTIONS, options);
+    this.gl = canvas.getContext("webgl");
+
+    // view, changed by the mouse or setView()
+    this.xAngle = 0;                // degree about the axis of the globe
+    this.yAngle = 0;                // degree of tilt, -90 to 90
+    this.lastXAngle = 0;            // angles when the drag started
+    this.lastYAngle = 0;
+    this.zoomMin = this.options.zoomMin;
+    this.zoomMax = this.options.zoomMax;
+    this.zoomFactor = Math.max(this.zoomMin, Math.min(this.zoomMax, this.options.zoom));
+    this.autoRotate = this.options.autoRotate;
+    this.autoRotateSpeed = this.options.autoRotateSpeed;
+    this.autoRotateDelay = this.options.autoRotateDelay;
+    this.rotating = this.autoRotate;    // false while dragged or zoomed
+    this.rotateTimeouts = [];
+    this.mouseDragging = false;
+    this.firstPosX = 0;
+    this.firstPosY = 0;
+    this.showGraticule = true;
+    this.useLod = this.options.lod;
+
+    this.morph = { value:0,         // 0: globe, 1: flat map
+                   from:0,
+                   to:0,
+                   start:0,
+                   duration:1500,   // ms
+                   mode:AnimationMode.EASE_IN_OUT };
+
+    // sun lighting, the clock by default
+    this.sun = { lighting:true,
+                 followClock:true,      // use the current time every frame
+                 date:new Date(),       // UTC date/time of the sun
+                 direction:[1, 0, 0],   // to the sun in object space, computed every frame
+                 ambient:0.15,          // brightness of the night side
+                 terminator:0.1 };      // width of the twilight band
+    if(this.options.time && !isNaN(Date.parse(this.options.time)))
+        this.setSunTime(new Date(this.options.time));
+
+    // city lights on the night side, from the uNightTexture sampler
+    this.nightLights = { enabled:true,
+                         intensity:1.0,     // brightness of the lights
+                         blend:0.15 };      // half width of the band where they fade out, in cosine
+
+    // procedural stars, or the star map or skybox images
+    this.background = { enabled:true,
+                        mode:"stars" };     // "stars", "map" or "cube", changed when the images are loaded
+
+    // surface relief from the uNormalMap and uOcclusionMap samplers, lit by
+    // the sun without changing the geometry
+    this.relief = { enabled:true,
+                    normalStrength:1.0,     // scale of the slopes of the normal map
+                    occlusionStrength:1.0 };
+
+    // specular highlight of the sun over water, from the uWaterMask sampler
+    // or the alpha channel of the base map
+    this.ocean = { enabled:true,
+                   waterFromAlpha:false,    // true if the base map has water in its alpha
+                   shininess:60,
+                   strength:0.6 };
+
+    // cloud layer above the ground, from the uCloudTexture sampler
+    this.clouds = { enabled:true,
+                    height:0.01,            // above the globe of radius 1
+                    speed:0.005,            // degree per frame, relative to the ground
+                    angle:0,                // degree turned from the ground
+                    opacity:0.9,
+                    luminanceAlpha:true,    // grayscale map, white is cloud; false to use alpha
+                    shadow:true,            // with lighting on
+                    shadowOpacity:0.4,
+                    shadowOffset:0.002 };   // shift of the shadow away from the sun, in tex coords
+
+    // glow of the air above the globe, hidden on the flat map
+    this.atmosphere = { enabled:true,
+                        thickness:0.06,         // height of the top of the atmosphere, globe radius is 1
+                        color:[0.3, 0.55, 1.0], // Rayleigh scattering, mostly blue
+                        intensity:1.2 };
+
+    // textures by the name of their sampler uniform, each on its own unit
+    // The image is kept to create the texture again after context loss. Until
+    // it is loaded, or without url, the texture is 1x1 of the default color.
+    this.textures = {};
+    for(let name in Globe.TEXTURES)
+    {
+        let entry = Globe.TEXTURES[name];
+        this.textures[name] = { url:null, unit:entry.unit, color:entry.color,
+                                image:null, texture:null, location:null };
+    }
+    this.sky = { urls:null, image:null, cubeImages:null, texture:null };
+    this.ready = false;             // true when the base map is loaded
+    this.programs = {};             // GLSL programs and their locations
+    this.skyQuad = null;            // full screen quad of the sky
+    this.frameId = 0;
+    this.running = false;
+    this.drawFrame = this.drawScene.bind(this);
+    this.picked = null;             // {lat, lon} of the last click on the globe
+    this.lastProjection = null;     // matrices of the last frame, for picking
+    this.lastModelView = null;
+    this.stats = { patches:0, triangles:0 };
+    this.listeners = [];            // {target, type, handler} to remove in destroy()
+    this.resizeObserver = null;
+    if(!this.gl)
+        return;
+    this.gl.textureEnabled = true;
+
+    // flatVertex is for morphing to flat map, and tangent is for normal map
+    this.sphere = new Sphere(this.gl, 1.0, this.options.sectorCount, this.options.stackCount, true, 1.0,
+                             ["vertex", "normal", "texCoord", "flatVertex", "tangent"]);
+    this.graticule = new Graticule(this.gl, 1.005, 15);
+    // unit sphere of the cloud and atmosphere layers, scaled when drawn
+    this.shell = new Sphere(this.gl, 1.0, 64, 32, true);
+    this.starfield = new Starfield(this.gl, 3000, 1);
+    // quadtree patches of the same surface, more detail where the camera is close
+    this.lod = new GlobeLod(this.gl, 1.0, 16, this.sphere.layout);
+    this.initGl();
+
+    for(let name in Globe.TEXTURES)
+        this.setTexture(this.options[Globe.TEXTURES[name].option], name);
+    if(this.options.skybox)
+        this.setSky(this.options.skybox);
+    else if(this.options.sky)
+        this.setSky(this.options.sky);
+    this.addListeners();
+};
+
+Globe.DEFAULT_OPTIONS =
+{
+    texture: "world2.webp",
+    nightTexture: null,
+    cloudTexture: null,
+    waterMask: null,
+    normalMap: null,
+    occlusionMap: null,
+    sky: null,
+    skybox: null,
+    sectorCount: 60,
+    stackCount: 60,
+    lod: true,
+    zoom: 1,
+    zoomMin: 0.2,
+    zoomMax: 4.5,
+    autoRotate: true,
+    autoRotateSpeed: 0.01,
+    autoRotateDelay: 2000,
+    time: null,
+    keyTarget: undefined,   // the canvas
+    onClick: null,
+    onDraw: null
+};
+
+// texture unit, default color (RGBA, 0 to 255) and option of each sampler
+// The default of a normal map is the vertical normal, and of an AO map is no
+// occlusion, same as setupDefaultTexture() in webglUtils.js of
+// webglsphere1-texture-controls-broken.
+Globe.TEXTURES =
+{
+    uTexture:      { unit:0, color:[0, 0, 255, 255],     option:"texture" },
+    uNightTexture: { unit:1, color:[0, 0, 0, 255],       option:"nightTexture" },
+    uCloudTexture: { unit:2, color:[0, 0, 0, 0],         option:"cloudTexture" },
+    uWaterMask:    { unit:3, color:[0, 0, 0, 255],       option:"waterMask" },
+    uNormalMap:    { unit:4, color:[127, 127, 255, 255], option:"normalMap" },
+    uOcclusionMap: { unit:5, color:[255, 255, 255, 255], option:"occlusionMap" }
+};
+
+Globe.prototype =
+{
+    ///////////////////////////////////////////////////////////////////////////
+    // start and stop drawing every frame
+    ///////////////////////////////////////////////////////////////////////////
+    start: function()
+    {
+        if(this.running || !this.gl)
+            return this;
+        this.running = true;
+        if(!this.gl.isContextLost())
+            this.frameId = requestAnimationFrame(this.drawFrame);
+        return this;
+    },
+    stop: function()
+    {
+        this.running = false;
+        cancelAnimationFrame(this.frameId);
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // stop drawing, remove the listeners and delete all GL resources
+    // The globe cannot be started again.
+    ///////////////////////////////////////////////////////////////////////////
+    destroy: function()
+    {
+        this.stop();
+        this.stopRotate();
+        for(let listener of this.listeners)
+            listener.target.removeEventListener(listener.type, listener.handler, false);
+        this.listeners = [];
+        if(this.resizeObserver)
+            this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+        ++this.sphere.generation;       // drop a pending setAsync() result
+        if(this.gl)
+            this.releaseGl();
+        this.gl = null;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // load an image into the texture of the sampler (uTexture by default)
+    // The old texture is drawn until the image is loaded. A null url resets
+    // the texture to its default color.
+    ///////////////////////////////////////////////////////////////////////////
+    setTexture: function(url, name="uTexture")
+    {
+        let entry = this.textures[name];
+        if(!entry || !this.gl)
+            return this;
+
+        entry.url = url;
+        if(!url)
+        {
+            entry.image = null;
+            this.replaceTexture(entry, null);
+            this.ready = this.ready || (name == "uTexture");
+            return this;
+        }
+        let self = this;
+        loadImage(url, function(image)
+        {
+            if(entry.url != url || !self.gl)
+                return;     // replaced or destroyed while loading
+            entry.image = image;
+            self.replaceTexture(entry, image);
+            if(name == "uTexture")
+                self.ready = true;
+        });
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // load the background from an equirectangular star map (url), or from a
+    // cube map (array of 6 urls); null for the procedural stars
+    ///////////////////////////////////////////////////////////////////////////
+    setSky: function(urls)
+    {
+        let self = this;
+        let done = function(image, cubeImages)
+        {
+            if(self.sky.urls != urls || !self.gl)
+                return;
+            self.sky.image = image;
+            self.sky.cubeImages = cubeImages;
+            if(!self.gl.isContextLost())
+            {
+                self.gl.deleteTexture(self.sky.texture);
+                self.sky.texture = cubeImages ? createCubeTexture(self.gl, cubeImages) : createTexture(self.gl, image);
+            }
+            self.background.mode = cubeImages ? "cube" : "map";
+        };
+
+        this.sky.urls = urls;
+        if(Array.isArray(urls))
+            loadImages(urls, function(images) { done(null, images); });
+        else if(urls)
+            loadImage(urls, function(image) { done(image, null); });
+        else
+            this.background.mode = "stars";
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // turn the globe to face the camera at latitude and longitude (degree),
+    // and set the zoom factor if given
+    // The sector angle of the point is lon + 180, and it faces the camera at
+    // 270 degree, after the globe is turned -90 degree about X.
+    ///////////////////////////////////////////////////////////////////////////
+    setView: function(lat, lon, zoom)
+    {
+        this.xAngle = this.lastXAngle = 90 - lon;
+        this.yAngle = this.lastYAngle = Math.max(-90, Math.min(90, lat));
+        if(zoom !== undefined)
+            this.setZoom(zoom);
+        return this;
+    },
+    // return {lat, lon, zoom} of the center of the view
+    getView: function()
+    {
+        return { lat:this.yAngle, lon:wrapAngle(90 - this.xAngle), zoom:this.zoomFactor };
+    },
+    setZoom: function(zoom)
+    {
+        this.zoomFactor = Math.max(this.zoomMin, Math.min(this.zoomMax, zoom));
+        return this;
+    },
+    setZoomLimits: function(zoomMin, zoomMax)
+    {
+        if(zoomMin > zoomMax)
+            return this;
+        this.zoomMin = zoomMin;
+        this.zoomMax = zoomMax;
+        return this.setZoom(this.zoomFactor);
+    },
+    setAutoRotate: function(enabled, speed)
+    {
+        this.autoRotate = enabled;
+        if(speed !== undefined)
+            this.autoRotateSpeed = speed;
+        this.stopRotate();
+        this.rotating = enabled;
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // sun lighting: stop following the clock and light the globe at the
+    // date/time, or follow the clock again
+    ///////////////////////////////////////////////////////////////////////////
+    setSunTime: function(date)
+    {
+        this.sun.date = new Date(date.valueOf());
+        this.sun.followClock = false;
+        return this;
+    },
+    followClock: function()
+    {
+        this.sun.followClock = true;
+        return this;
+    },
+    setLighting: function(enabled)
+    {
+        this.sun.lighting = enabled;
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // morph to the flat map (1) or back to the globe (0)
+    ///////////////////////////////////////////////////////////////////////////
+    startMorph: function(to)
+    {
+        this.morph.from = this.morph.value;
+        this.morph.to = to;
+        this.morph.start = performance.now();
+        return this;
+    },
+    updateMorph: function(now)
+    {
+        let alpha = (now - this.morph.start) / this.morph.duration;
+        alpha = alpha > 1 ? 1 : alpha;
+        alpha = alpha < 0 ? 0 : alpha;
+        this.morph.value = interpolate(this.morph.from, this.morph.to, alpha, this.morph.mode);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // geographic coordinate {lat, lon} on the globe at the client position of
+    // a mouse event, or null if it misses the globe or the map is shown
+    ///////////////////////////////////////////////////////////////////////////
+    pick: function(clientX, clientY)
+    {
+        if(!this.lastModelView || this.morph.value != 0)
+            return null;
+        let rect = this.canvas.getBoundingClientRect();
+        let hit = pickSphere(clientX - rect.left, clientY - rect.top, rect.width, rect.height,
+                             this.lastProjection, this.lastModelView, this.sphere.radius);
+        return hit ? { lat:hit.lat, lon:hit.lon } : null;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // canvas position {x, y, visible} of latitude and longitude (degree) in
+    // the last frame, or null if the map is shown
+    ///////////////////////////////////////////////////////////////////////////
+    projectLatLon: function(lat, lon)
+    {
+        if(!this.lastModelView || this.morph.value != 0)
+            return null;
+        return projectLatLon(lat, lon, this.canvas.clientWidth, this.canvas.clientHeight,
+                             this.lastProjection, this.lastModelView, this.sphere.radius);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // save the globe as binary glTF, with the texture referenced
+    ///////////////////////////////////////////////////////////////////////////
+    exportGlb: function(filename="globe.glb")
+    {
+        let exporter = new MeshExporter(this.sphere);
+        MeshExporter.download(exporter.toGlb({name: "globe", texture: this.textures.uTexture.url}), filename);
+    },
+
+    toString: function()
+    {
+        let view = this.getView();
+        return "===== Globe =====\n" +
+               "       Texture: " + this.textures.uTexture.url + "\n" +
+               "      Lat, Lon: " + view.lat.toFixed(2) + ", " + view.lon.toFixed(2) + "\n" +
+               "          Zoom: " + this.zoomFactor + " (" + this.zoomMin + " to " + this.zoomMax + ")\n" +
+               "   Auto Rotate: " + this.autoRotate + "\n" +
+               "  Sector Count: " + this.sphere.sectorCount + "\n" +
+               "   Stack Count: " + this.sphere.stackCount + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // mouse and keyboard handlers
+    // The drag continues outside of the canvas, so move and up are on window.
+    ///////////////////////////////////////////////////////////////////////////
+    addListeners: function()
+    {
+        let canvas = this.canvas;
+        let keyTarget = this.options.keyTarget === undefined ? canvas : this.options.keyTarget;
+        if(keyTarget == canvas && canvas.tabIndex < 0)
+            canvas.tabIndex = 0;    // to get the focus and the keys
+
+        this.addListener(canvas, "mousedown", this.mouseDown);
+        this.addListener(window, "mousemove", this.mouseMove);
+        this.addListener(window, "mouseup", this.mouseUp);
+        this.addListener(canvas, "wheel", this.wheel);
+        this.addListener(canvas, "click", this.click);
+        if(keyTarget)
+            this.addListener(keyTarget, "keydown", this.keyDown);
+
+        // The context is lost when the GPU is reset, or the browser drops it
+        // from a background tab. Stop drawing until it is restored, then
+        // create all GL resources again from the data kept in memory.
+        this.addListener(canvas, "webglcontextlost", this.contextLost);
+        this.addListener(canvas, "webglcontextrestored", this.contextRestored);
+
+        // resize the drawing buffer when the layout changes the canvas,
+        // instead of checking its size every frame; it is called once first
+        let self = this;
+        this.resizeObserver = new ResizeObserver(function(entries)
+        {
+            let rect = entries[entries.length - 1].contentRect;
+            self.resize(Math.round(rect.width), Math.round(rect.height));
+        });
+        this.resizeObserver.observe(canvas);
+    },
+    addListener: function(target, type, method)
+    {
+        let handler = method.bind(this);
+        target.addEventListener(type, handler, false);
+        this.listeners.push({ target:target, type:type, handler:handler });
+    },
+    mouseDown: function(event)
+    {
+        this.firstPosX = event.clientX;
+        this.firstPosY = event.clientY;
+        this.stopRotate();
+        this.mouseDragging = true;
+    },
+    mouseUp: function(event)
+    {
+        if(!this.mouseDragging)
+            return;
+        this.lastXAngle = this.xAngle;
+        this.lastYAngle = this.yAngle;
+        this.startRotate();
+        this.mouseDragging = false;
+    },
+    mouseMove: function(event)
+    {
+        if(this.mouseDragging)
+        {
+            let dX = (event.clientX - this.firstPosX) / (this.zoomFactor * this.zoomFactor);
+            let dY = (event.clientY - this.firstPosY) / (this.zoomFactor * this.zoomFactor);
+            this.xAngle = dX + this.lastXAngle;
+            this.yAngle = dY + this.lastYAngle;
+        }
+    },
+    wheel: function(event)
+    {
+        event.preventDefault();     // zoom the globe, not scroll the page
+        this.setZoom(this.zoomFactor - event.deltaY / 750);
+        this.stopRotate();
+        this.startRotate();
+    },
+    // click to pick a geographic coordinate on the globe, not after dragging
+    click: function(event)
+    {
+        if(!this.lastModelView || this.morph.value != 0 ||
+           Math.abs(event.clientX - this.firstPosX) > 2 || Math.abs(event.clientY - this.firstPosY) > 2)
+            return;
+        this.picked = this.pick(event.clientX, event.clientY);
+        if(this.options.onClick)
+            this.options.onClick(this.picked);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // "g": graticule, "l": LOD, "s": lighting, "[" and "]": 1 hour back and
+    // forward, "c": clock, "n": night lights, "r": relief, "o": ocean,
+    // "k": clouds, "b": background, "a": atmosphere
+    // "m": morph between globe and flat map
+    // "e": save the globe as binary glTF
+    // "+" or "-": rebuild the sphere (not LOD) in a worker, with more or less
+    // sectors and stacks; the old one is drawn until the new one is ready
+    ///////////////////////////////////////////////////////////////////////////
+    keyDown: function(event)
+    {
+        let key = event.key;
+        if(key == "g")
+            this.showGraticule = !this.showGraticule;
+        if(key == "l")
+            this.useLod = !this.useLod;
+        if(key == "s")
+            this.setLighting(!this.sun.lighting);
+        if(key == "[" || key == "]")
+            this.setSunTime(new Date(this.sun.date.valueOf() + (key == "]" ? 3600000 : -3600000)));
+        if(key == "c")
+            this.followClock();
+        if(key == "n")
+            this.nightLights.enabled = !this.nightLights.enabled;
+        if(key == "r")
+            this.relief.enabled = !this.relief.enabled;
+        if(key == "o")
+            this.ocean.enabled = !this.ocean.enabled;
+        if(key == "k")
+            this.clouds.enabled = !this.clouds.enabled;
+        if(key == "b")
+            this.background.enabled = !this.background.enabled;
+        if(key == "a")
+            this.atmosphere.enabled = !this.atmosphere.enabled;
+        if(key == "m" && this.sphere.offsets.flatVertex !== undefined)
+            this.startMorph(this.morph.to == 0 ? 1 : 0);
+        if(key == "e")
+            this.exportGlb();
+        if((key == "+" || key == "-") && this.sphere.setAsync)
+        {
+            let count = this.sphere.sectorCount * (key == "+" ? 2 : 0.5);
+            count = Math.max(15, Math.min(960, count));
+            this.sphere.setAsync(this.sphere.radius, count, count, this.sphere.smooth);
+        }
+    },
+    // set the size of the drawing buffer in pixels
+    resize: function(width, height)
+    {
+        if(this.canvas.width != width || this.canvas.height != height)
+        {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    },
+    contextLost: function(event)
+    {
+        event.preventDefault();     // allow it to be restored
+        cancelAnimationFrame(this.frameId);
+        this.releaseGl();
+    },
+    contextRestored: function()
+    {
+        this.initGl();
+        this.sphere.upload(this.gl);
+        this.graticule.upload(this.gl);
+        this.shell.upload(this.gl);
+        this.starfield.upload(this.gl);
+        if(this.running)
+            this.frameId = requestAnimationFrame(this.drawFrame);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // auto rotation stops while the globe is dragged or zoomed, and starts
+    // again after the delay
+    ///////////////////////////////////////////////////////////////////////////
+    stopRotate: function()
+    {
+        while(this.rotateTimeouts.length)
+            clearTimeout(this.rotateTimeouts.pop());
+        this.rotating = false;
+    },
+    startRotate: function()
+    {
+        if(!this.autoRotate)
+            return;
+        let self = this;
+        this.rotateTimeouts.push(setTimeout(function()
+        {
+            self.rotating = true;
+        }, this.autoRotateDelay));
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // setup GLSL programs and look up their locations, and create the
+    // textures from the loaded images. The geometry uploads its own buffers.
+    ///////////////////////////////////////////////////////////////////////////
+    initGl: function()
+    {
+        let gl = this.gl;
+        gl.enable(gl.DEPTH_TEST);
+
+        this.programs.main = createProgramInfo(gl, [GlobeShaders.mainVertex, GlobeShaders.mainFragment],
+            ["vertex", "normal", "texCoord", "flatVertex", "tangent"],
+            ["projection", "modelView", "morph", "lighting", "sunDirection", "ambient", "terminator",
+             "nightIntensity", "nightBlend", "cloudLuminanceAlpha", "cloudRotation", "cloudShadow",
+             "cloudShadowOffset", "waterFromAlpha", "cameraPosition", "shininess", "specularStrength",
+             "normalStrength", "occlusionStrength"]);
+        // graticule
+        this.programs.line = createProgramInfo(gl, [GlobeShaders.lineVertex, GlobeShaders.lineFragment],
+            ["vertex", "flatVertex"],
+            ["projection", "modelView", "color", "morph"]);
+        this.programs.cloud = createProgramInfo(gl, [GlobeShaders.cloudVertex, GlobeShaders.cloudFragment],
+            ["vertex", "texCoord"],
+            ["projection", "modelView", "uCloudTexture", "cloudLuminanceAlpha", "opacity", "lighting",
+             "sunDirection", "ambient", "terminator"]);
+        // background, and the full screen quad of the sky
+        this.programs.star = createProgramInfo(gl, [GlobeShaders.starVertex, GlobeShaders.starFragment],
+            ["vertex", "pointSize", "color"],
+            ["projection", "rotation"]);
+        this.programs.skyMap = createProgramInfo(gl, [GlobeShaders.skyVertex, GlobeShaders.skyMapFragment],
+            ["vertex"],
+            ["inverseViewProjection", "uSkyTexture"]);
+        this.programs.skyCube = createProgramInfo(gl, [GlobeShaders.skyVertex, GlobeShaders.skyCubeFragment],
+            ["vertex"],
+            ["inverseViewProjection", "uSkyTexture"]);
+        this.skyQuad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.skyQuad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1,-1, 1,-1, -1,1, 1,1]), gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        this.programs.atmosphere = createProgramInfo(gl, [GlobeShaders.atmosphereVertex, GlobeShaders.atmosphereFragment],
+            ["vertex"],
+            ["projection", "modelView", "cameraPosition", "sunDirection", "lighting", "innerRadius",
+             "color", "intensity"]);
+
+        for(let name in this.textures)
+        {
+            let entry = this.textures[name];
+            entry.location = gl.getUniformLocation(this.programs.main.program, name);
+            entry.texture = entry.image ? createTexture(gl, entry.image) : createDefaultTexture(gl, entry.color);
+        }
+        if(this.sky.cubeImages)
+            this.sky.texture = createCubeTexture(gl, this.sky.cubeImages);
+        else if(this.sky.image)
+            this.sky.texture = createTexture(gl, this.sky.image);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // delete all GL resources; after context loss, only forget them
+    ///////////////////////////////////////////////////////////////////////////
+    releaseGl: function()
+    {
+        let gl = this.gl;
+        this.sphere.dispose();
+        this.graticule.dispose();
+        this.shell.dispose();
+        this.starfield.dispose();
+        this.lod.dispose();
+        for(let name in this.textures)
+        {
+            if(!gl.isContextLost())
+                gl.deleteTexture(this.textures[name].texture);
+            this.textures[name].texture = null;
+        }
+        if(!gl.isContextLost())
+        {
+            gl.deleteTexture(this.sky.texture);
+            gl.deleteBuffer(this.skyQuad);
+            for(let name in this.programs)
+                deleteProgram(gl, this.programs[name].program);
+        }
+        this.sky.texture = null;
+        this.skyQuad = null;
+        this.programs = {};
+    },
+
+    // replace the texture of the entry with the image, or its default color
+    replaceTexture: function(entry, image)
+    {
+        let gl = this.gl;
+        if(gl.isContextLost())
+            return;
+        gl.deleteTexture(entry.texture);
+        entry.texture = image ? createTexture(gl, image) : createDefaultTexture(gl, entry.color);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // draw the scene, then request the next frame
+    ///////////////////////////////////////////////////////////////////////////
+    drawScene: function(now)
+    {
+        if(!this.running || !this.gl)
+            return;
+        this.frameId = requestAnimationFrame(this.drawFrame);
+        if(!this.ready)
+            return;
+
+        let gl = this.gl;
+        let main = this.programs.main;
+        this.updateMorph(now);
+        let t = this.morph.value;
+        // the clouds drift over the ground, whether the globe turns or not
+        this.clouds.angle = (this.clouds.angle + this.clouds.speed) % 360;
+
+        if(this.rotating && t == 0)
+        {
+            this.xAngle += this.autoRotateSpeed / this.zoomFactor;
+            this.lastXAngle += this.autoRotateSpeed / this.zoomFactor;
+        }
+
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        gl.textureEnabled = true;
+        gl.clearColor(0,0,0,1);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        // compute the matrices
+        let projectionMatrix = m4.perspective(Math.PI/180*45, gl.canvas.width/gl.canvas.height, 0.1, 1000);
+        let modelView = m4.inverse(m4.lookAt([0,0,5], [0,0,0], [0,1,0]));
+        modelView = m4.xRotate(modelView, toRadian(-90));
+        this.yAngle = Math.max(-90, Math.min(90, this.yAngle));
+        // turn the globe to face the camera and fit the flat map to the viewport
+        let scale = this.zoomFactor + (this.fitMapScale(gl.canvas.width/gl.canvas.height) - this.zoomFactor) * t;
+        modelView = m4.xRotate(modelView, toRadian(this.yAngle * (1 - t)));
+        modelView = m4.zRotate(modelView, toRadian(wrapAngle(this.xAngle) * (1 - t)));
+        modelView = m4.scale(modelView, scale, scale, scale);
+        if(this.background.enabled)
+            this.drawBackground(projectionMatrix, t);
+
+        gl.useProgram(main.program);
+        bindTextures(gl, this.textures);
+        gl.enableVertexAttribArray(main.attribute.vertex);
+        if(main.attribute.normal >= 0)
+            gl.enableVertexAttribArray(main.attribute.normal);
+        if(main.attribute.texCoord >= 0)
+            gl.enableVertexAttribArray(main.attribute.texCoord);
+        if(this.sphere.offsets.flatVertex !== undefined && main.attribute.flatVertex >= 0)
+            gl.enableVertexAttribArray(main.attribute.flatVertex);
+        if(this.sphere.offsets.tangent !== undefined && main.attribute.tangent >= 0)
+            gl.enableVertexAttribArray(main.attribute.tangent);
+
+        gl.uniformMatrix4fv(main.uniform.projection, false, projectionMatrix);
+        gl.uniformMatrix4fv(main.uniform.modelView, false, modelView);
+        gl.uniform1f(main.uniform.morph, t);
+        this.setSunUniforms();
+        this.setCloudShadowUniforms(t);
+        this.setOceanUniforms(modelView, t);
+        gl.uniform1f(main.uniform.normalStrength, this.relief.enabled ? this.relief.normalStrength : 0);
+        gl.uniform1f(main.uniform.occlusionStrength, this.relief.enabled ? this.relief.occlusionStrength : 0);
+        this.lastProjection = projectionMatrix;
+        this.lastModelView = modelView;
+
+        // draw the LOD patches for this view, or the whole sphere
+        let meshes = [this.sphere];
+        if(this.useLod)
+        {
+            this.lod.culling = (t == 0);    // culling is for the globe, not the flat map
+            this.lod.update(projectionMatrix, modelView, gl.canvas.height);
+            meshes = this.lod.patches;
+        }
+        this.stats.patches = meshes.length;
+        this.stats.triangles = 0;
+        for(let mesh of meshes)
+        {
+            this.drawMesh(mesh);
+            this.stats.triangles += mesh.getTriangleCount();
+        }
+        // a location is -1 if the shader compiler removed the attribute
+        if(main.attribute.normal >= 0)
+            gl.disableVertexAttribArray(main.attribute.normal);
+        if(main.attribute.texCoord >= 0)
+            gl.disableVertexAttribArray(main.attribute.texCoord);
+        if(main.attribute.flatVertex >= 0)
+            gl.disableVertexAttribArray(main.attribute.flatVertex);
+        if(main.attribute.tangent >= 0)
+            gl.disableVertexAttribArray(main.attribute.tangent);
+
+        if(this.hasClouds() && t == 0)
+            this.drawClouds(projectionMatrix, modelView);
+        if(this.showGraticule)
+            this.drawGraticule(projectionMatrix, modelView, t);
+        if(this.atmosphere.enabled && t == 0)
+            this.drawAtmosphere(projectionMatrix, modelView);
+        if(this.options.onDraw)
+            this.options.onDraw(this);
+    },
+
+    // the sun is fixed to the geography, so the day side turns with the globe
+    setSunUniforms: function()
+    {
+        let gl = this.gl;
+        let uniform = this.programs.main.uniform;
+        if(this.sun.followClock)
+            this.sun.date = new Date();
+        this.sun.direction = computeSunDirection(this.sun.date);
+        gl.uniform1i(uniform.lighting, this.sun.lighting ? 1 : 0);
+        gl.uniform3fv(uniform.sunDirection, this.sun.direction);
+        gl.uniform1f(uniform.ambient, this.sun.ambient);
+        gl.uniform1f(uniform.terminator, this.sun.terminator);
+        gl.uniform1f(uniform.nightIntensity, this.nightLights.enabled ? this.nightLights.intensity : 0);
+        gl.uniform1f(uniform.nightBlend, this.nightLights.blend);
+    },
+
+    // the ground samples the cloud map where the layer is turned to now
+    setCloudShadowUniforms: function(t)
+    {
+        let gl = this.gl;
+        let uniform = this.programs.main.uniform;
+        let shadow = this.hasClouds() && this.clouds.shadow && t == 0;
+        gl.uniform1i(uniform.cloudLuminanceAlpha, this.clouds.luminanceAlpha ? 1 : 0);
+        gl.uniform1f(uniform.cloudRotation, this.clouds.angle / 360);
+        gl.uniform1f(uniform.cloudShadow, shadow ? this.clouds.shadowOpacity : 0);
+        gl.uniform1f(uniform.cloudShadowOffset, this.clouds.shadowOffset);
+    },
+
+    // the highlight follows the sun and the camera of the lookAt matrix; it
+    // is faded out on the flat map, which has no view dependent shading
+    setOceanUniforms: function(modelView, t)
+    {
+        let gl = this.gl;
+        let uniform = this.programs.main.uniform;
+        let hasMask = this.ocean.waterFromAlpha || this.textures.uWaterMask.image != null;
+        gl.uniform1i(uniform.waterFromAlpha, this.ocean.waterFromAlpha ? 1 : 0);
+        gl.uniform3fv(uniform.cameraPosition, transformPoint(invertMatrix(modelView), [0, 0, 0]));
+        gl.uniform1f(uniform.shininess, this.ocean.shininess);
+        gl.uniform1f(uniform.specularStrength, this.ocean.enabled && hasMask ? this.ocean.strength * (1 - t) : 0);
+    },
+
+    // cloud layer is drawn only if its map is loaded
+    hasClouds: function()
+    {
+        return this.clouds.enabled && this.textures.uCloudTexture.image != null;
+    },
+
+    // draw each chunk of the mesh, from its own first vertex
+    drawMesh: function(mesh)
+    {
+        let gl = this.gl;
+        let attribute = this.programs.main.attribute;
+        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vboVertex);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.vboIndex);
+        for(let range of mesh.drawRanges)
+        {
+            gl.vertexAttribPointer(attribute.vertex, 3, gl.FLOAT, false, mesh.stride, range.vertexOffset + mesh.offsets.vertex);
+            if(attribute.normal >= 0)
+                gl.vertexAttribPointer(attribute.normal, 3, gl.FLOAT, false, mesh.stride, range.vertexOffset + mesh.offsets.normal);
+            if(attribute.texCoord >= 0)
+                gl.vertexAttribPointer(attribute.texCoord, 2, gl.FLOAT, false, mesh.stride, range.vertexOffset + mesh.offsets.texCoord);
+            if(mesh.offsets.flatVertex !== undefined && attribute.flatVertex >= 0)
+                gl.vertexAttribPointer(attribute.flatVertex, 3, gl.FLOAT, false, mesh.stride, range.vertexOffset + mesh.offsets.flatVertex);
+            if(mesh.offsets.tangent !== undefined && attribute.tangent >= 0)
+                gl.vertexAttribPointer(attribute.tangent, 4, gl.FLOAT, false, mesh.stride, range.vertexOffset + mesh.offsets.tangent);
+            gl.drawElements(gl.TRIANGLES, range.indexCount, mesh.indexType, range.indexOffset);
+        }
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // draw the grid lines blended over the globe. The globe hides the far
+    // side by depth test, but the lines do not write depth.
+    ///////////////////////////////////////////////////////////////////////////
+    drawGraticule: function(projectionMatrix, modelView, t)
+    {
+        let gl = this.gl;
+        let line = this.programs.line;
+        let graticule = this.graticule;
+        gl.useProgram(line.program);
+        gl.uniformMatrix4fv(line.uniform.projection, false, projectionMatrix);
+        gl.uniformMatrix4fv(line.uniform.modelView, false, modelView);
+        gl.uniform1f(line.uniform.morph, t);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+
+        gl.enableVertexAttribArray(line.attribute.vertex);
+        gl.bindBuffer(gl.ARRAY_BUFFER, graticule.vboVertex);
+        gl.vertexAttribPointer(line.attribute.vertex, 3, gl.FLOAT, false, 12, 0);
+        gl.enableVertexAttribArray(line.attribute.flatVertex);
+        gl.bindBuffer(gl.ARRAY_BUFFER, graticule.vboFlatVertex);
+        gl.vertexAttribPointer(line.attribute.flatVertex, 3, gl.FLOAT, false, 12, 0);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, graticule.vboIndex);
+        for(let range of graticule.getDrawRanges())
+        {
+            gl.uniform4fv(line.uniform.color, range.color);
+            gl.drawElements(gl.LINES, range.indexCount, gl.UNSIGNED_SHORT, range.indexOffset);
+        }
+
+        gl.disableVertexAttribArray(line.attribute.flatVertex);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // draw the background behind everything, without depth test or writing
+    // depth. It turns with the globe, but does not move with zoom.
+    ///////////////////////////////////////////////////////////////////////////
+    drawBackground: function(projectionMatrix, t)
+    {
+        let gl = this.gl;
+        let rotation = m4.xRotate(m4.identity(), toRadian(-90));
+        rotation = m4.xRotate(rotation, toRadian(this.yAngle * (1 - t)));
+        rotation = m4.zRotate(rotation, toRadian(wrapAngle(this.xAngle) * (1 - t)));
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.depthMask(false);
+        if(this.background.mode == "stars")
+        {
+            let star = this.programs.star;
+            let starfield = this.starfield;
+            gl.useProgram(star.program);
+            gl.uniformMatrix4fv(star.uniform.projection, false, projectionMatrix);
+            gl.uniformMatrix4fv(star.uniform.rotation, false, rotation);
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE);
+            gl.enableVertexAttribArray(star.attribute.vertex);
+            gl.enableVertexAttribArray(star.attribute.pointSize);
+            gl.enableVertexAttribArray(star.attribute.color);
+            gl.bindBuffer(gl.ARRAY_BUFFER, starfield.vboVertex);
+            gl.vertexAttribPointer(star.attribute.vertex, 3, gl.FLOAT, false, starfield.stride, 0);
+            gl.vertexAttribPointer(star.attribute.pointSize, 1, gl.FLOAT, false, starfield.stride, 12);
+            gl.vertexAttribPointer(star.attribute.color, 3, gl.FLOAT, false, starfield.stride, 16);
+            gl.drawArrays(gl.POINTS, 0, starfield.getVertexCount());
+            gl.disableVertexAttribArray(star.attribute.vertex);
+            gl.disableVertexAttribArray(star.attribute.pointSize);
+            gl.disableVertexAttribArray(star.attribute.color);
+            gl.disable(gl.BLEND);
+        }
+        else
+        {
+            let cube = (this.background.mode == "cube");
+            let sky = cube ? this.programs.skyCube : this.programs.skyMap;
+            gl.useProgram(sky.program);
+            gl.uniformMatrix4fv(sky.uniform.inverseViewProjection, false,
+                                m4.inverse(m4.multiply(projectionMatrix, rotation)));
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(cube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D, this.sky.texture);
+            gl.uniform1i(sky.uniform.uSkyTexture, 0);
+            gl.enableVertexAttribArray(sky.attribute.vertex);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.skyQuad);
+            gl.vertexAttribPointer(sky.attribute.vertex, 2, gl.FLOAT, false, 0, 0);
+            gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            gl.disableVertexAttribArray(sky.attribute.vertex);
+        }
+        gl.depthMask(true);
+        gl.enable(gl.DEPTH_TEST);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // draw the front faces of the cloud layer, turned by its own angle, after
+    // the ground with alpha blending. It is tested against the depth of the
+    // ground, but does not write depth, so the atmosphere glows through it.
+    ///////////////////////////////////////////////////////////////////////////
+    drawClouds: function(projectionMatrix, modelView)
+    {
+        let gl = this.gl;
+        let cloud = this.programs.cloud;
+        let shell = this.shell;
+        let sun = this.sun;
+        let entry = this.textures.uCloudTexture;
+        let radius = this.sphere.radius + this.clouds.height;
+        let cloudModelView = m4.zRotate(modelView, toRadian(this.clouds.angle));
+        cloudModelView = m4.scale(cloudModelView, radius, radius, radius);
+        // the sun turned back by the cloud angle, in object space of the layer
+        let angle = toRadian(-this.clouds.angle);
+        let sunDirection = [sun.direction[0] * Math.cos(angle) - sun.direction[1] * Math.sin(angle),
+                            sun.direction[0] * Math.sin(angle) + sun.direction[1] * Math.cos(angle),
+                            sun.direction[2]];
+
+        gl.useProgram(cloud.program);
+        gl.uniformMatrix4fv(cloud.uniform.projection, false, projectionMatrix);
+        gl.uniformMatrix4fv(cloud.uniform.modelView, false, cloudModelView);
+        gl.activeTexture(gl.TEXTURE0 + entry.unit);
+        gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+        gl.uniform1i(cloud.uniform.uCloudTexture, entry.unit);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1i(cloud.uniform.cloudLuminanceAlpha, this.clouds.luminanceAlpha ? 1 : 0);
+        gl.uniform1f(cloud.uniform.opacity, this.clouds.opacity);
+        gl.uniform1i(cloud.uniform.lighting, sun.lighting ? 1 : 0);
+        gl.uniform3fv(cloud.uniform.sunDirection, sunDirection);
+        gl.uniform1f(cloud.uniform.ambient, sun.ambient);
+        gl.uniform1f(cloud.uniform.terminator, sun.terminator);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+        gl.enable(gl.CULL_FACE);
+        gl.cullFace(gl.BACK);
+
+        gl.enableVertexAttribArray(cloud.attribute.vertex);
+        gl.enableVertexAttribArray(cloud.attribute.texCoord);
+        gl.bindBuffer(gl.ARRAY_BUFFER, shell.vboVertex);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, shell.vboIndex);
+        for(let range of shell.drawRanges)
+        {
+            gl.vertexAttribPointer(cloud.attribute.vertex, 3, gl.FLOAT, false, shell.stride, range.vertexOffset + shell.offsets.vertex);
+            gl.vertexAttribPointer(cloud.attribute.texCoord, 2, gl.FLOAT, false, shell.stride, range.vertexOffset + shell.offsets.texCoord);
+            gl.drawElements(gl.TRIANGLES, range.indexCount, shell.indexType, range.indexOffset);
+        }
+        gl.disableVertexAttribArray(cloud.attribute.texCoord);
+
+        gl.disable(gl.CULL_FACE);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // draw the front faces of the shell over the globe with additive
+    // blending, so the glow brightens the black background and the limb of
+    // the globe. The globe hides the far side by depth test, and the shell
+    // does not write depth.
+    ///////////////////////////////////////////////////////////////////////////
+    drawAtmosphere: function(projectionMatrix, modelView)
+    {
+        let gl = this.gl;
+        let atmosphere = this.programs.atmosphere;
+        let shell = this.shell;
+        let outerRadius = this.sphere.radius + this.atmosphere.thickness;
+        let shellModelView = m4.scale(modelView, outerRadius, outerRadius, outerRadius);
+        let camera = transformPoint(invertMatrix(shellModelView), [0, 0, 0]);
+
+        gl.useProgram(atmosphere.program);
+        gl.uniformMatrix4fv(atmosphere.uniform.projection, false, projectionMatrix);
+        gl.uniformMatrix4fv(atmosphere.uniform.modelView, false, shellModelView);
+        gl.uniform3fv(atmosphere.uniform.cameraPosition, camera);
+        gl.uniform3fv(atmosphere.uniform.sunDirection, this.sun.direction);
+        gl.uniform1i(atmosphere.uniform.lighting, this.sun.lighting ? 1 : 0);
+        gl.uniform1f(atmosphere.uniform.innerRadius, this.sphere.radius / outerRadius);
+        gl.uniform3fv(atmosphere.uniform.color, this.atmosphere.color);
+        gl.uniform1f(atmosphere.uniform.intensity, this.atmosphere.intensity);
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.depthMask(false);
+        gl.enable(gl.CULL_FACE);
+        gl.cullFace(gl.BACK);
+
+        gl.enableVertexAttribArray(atmosphere.attribute.vertex);
+        gl.bindBuffer(gl.ARRAY_BUFFER, shell.vboVertex);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, shell.vboIndex);
+        for(let range of shell.drawRanges)
+        {
+            gl.vertexAttribPointer(atmosphere.attribute.vertex, 3, gl.FLOAT, false, shell.stride,
+                                   range.vertexOffset + shell.offsets.vertex);
+            gl.drawElements(gl.TRIANGLES, range.indexCount, shell.indexType, range.indexOffset);
+        }
+
+        gl.disable(gl.CULL_FACE);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    },
+
+    // scale of the flat map (2*pi*r by pi*r) to fill the viewport at the
+    // distance of the camera
+    fitMapScale: function(aspect)
+    {
+        let halfHeight = 5 * Math.tan(toRadian(45) / 2);
+        return Math.min(halfHeight * aspect / Math.PI, halfHeight / (Math.PI / 2)) / this.sphere.radius;
+    }
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// load an image asynchronously, then call back with it
+///////////////////////////////////////////////////////////////////////////////
+function loadImage(imageUrl, callback)
+{
+    let image = new Image();
+    image.src = imageUrl;
+    image.addEventListener("load", function()
+    {
+        callback(image);
+    });
+}
+
+// load all images, then call back with them in the same order
+function loadImages(imageUrls, callback)
+{
+    let images = [];
+    let count = 0;
+    imageUrls.forEach(function(url, i)
+    {
+        loadImage(url, function(image)
+        {
+            images[i] = image;
+            if(++count == imageUrls.length)
+                callback(images);
+        });
+    });
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// create a texture and copy the image to it
+// WebGL1 has no mipmaps and no REPEAT wrap for an image of non-power-of-two
+// size (e.g. world2.webp, 2000x1117), so it is clamped and filtered linearly
+// instead. The shaders wrap s with fract() where it may leave [0,1].
+///////////////////////////////////////////////////////////////////////////////
+function createTexture(gl, image)
+{
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    if(isPowerOfTwo(image.width) && isPowerOfTwo(image.height))
+    {
+        gl.generateMipmap(gl.TEXTURE_2D);
+    }
+    else
+    {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    }
+    return texture;
+}
+
+// true if n is 1, 2, 4, 8...
+function isPowerOfTwo(n)
+{
+    return n > 0 && (n & (n - 1)) == 0;
+}
+
+// 1x1 texture of RGBA color (0 to 255)
+function createDefaultTexture(gl, color)
+{
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+                  new Uint8Array(color));
+    return texture;
+}
+
+// cube map from 6 images of +X,-X,+Y,-Y,+Z,-Z faces
+function createCubeTexture(gl, images)
+{
+    let texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+    images.forEach(function(image, i)
+    {
+        gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    });
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+// bind each texture to its unit, and set the unit to its sampler uniform
+// The program must be in use.
+function bindTextures(gl, textures)
+{
+    for(let name in textures)
+    {
+        let entry = textures[name];
+        gl.activeTexture(gl.TEXTURE0 + entry.unit);
+        gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+        gl.uniform1i(entry.location, entry.unit);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// create a program from the sources of its shaders, and look up the
+// locations: {program, attribute:{name:location}, uniform:{name:location}}
+///////////////////////////////////////////////////////////////////////////////
+function createProgramInfo(gl, sources, attributeNames, uniformNames)
+{
+    let program = webglUtils.createProgramFromSources(gl, sources);
+    let info = { program:program, attribute:{}, uniform:{} };
+    for(let name of attributeNames)
+        info.attribute[name] = gl.getAttribLocation(program, name);
+    for(let name of uniformNames)
+        info.uniform[name] = gl.getUniformLocation(program, name);
+    return info;
+}
+
+// delete the program and its shaders
+function deleteProgram(gl, program)
+{
+    gl.getAttachedShaders(program).forEach(function(shader)
+    {
+        gl.deleteShader(shader);
+    });
+    gl.deleteProgram(program);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// convert degree to radian
+///////////////////////////////////////////////////////////////////////////////
+function toRadian(value)
+{
+    return value / 180 * Math.PI;
+}
+
+// angle in [-180, 180), so the globe turns back the short way
+function wrapAngle(value)
+{
+    return ((value + 180) % 360 + 360) % 360 - 180;
+}
@@ -0,0 +1,452 @@
+///////////////////////////////////////////////////////////////////////////////
+// GlobeLod.js
+// ===========
+// Chunked level of detail of the globe surface with a quadtree of Sphere
+// patches. The 2 root patches are the western and eastern hemispheres, and
+// each patch splits into 4 children of half lat/lon size. All patches have
+// the same sector/stack count, so a child has 4 times more detail.
+//
+// update() selects the patches to draw every frame. A patch is split if its
+// screen-space error is larger than maxScreenError (pixels). The error is the
+// largest distance between the tessellation and the true sphere, divided by
+// the distance from the camera and scaled to the viewport. The patches behind
+// the horizon or out of the view frustum are culled with their children.
+// After update(), lod.patches has the Sphere patches to draw, and lod.stats
+// has the # of drawn patches and triangles.
+//
+// The patches are created when they are selected first time, then kept for
+// later frames. A patch not selected for maxUnusedFrames frames is disposed,
+// and the children of a node not split for as long are removed, so the cache
+// follows the view instead of growing. Each patch has a skirt around its
+// edges, a strip hanging down to the center, so the T-junctions between the
+// patches of different levels do not show cracks. The skirts are not on the
+// pole edges.
+// dispose() deletes all patches; they are created again when selected.
+//
+// Example
+// =======
+//  let lod = new GlobeLod(gl, 1, 16, ["vertex", "normal", "texCoord"]);
+//  lod.update(projectionMatrix, modelViewMatrix, gl.canvas.height);
+//  for(let patch of lod.patches)
+//      ... draw same as Sphere (vboVertex, stride, offsets, drawRanges)
+//
+// This file depends on:
+// Sphere.js
+// geomutils.js
+///////////////////////////////////////////////////////////////////////////////
+
+import { Sphere } from "./Sphere.js";
+import { multiplyMatrices } from "./geomutils.js";
+
+export let GlobeLod = function(gl=null, radius=1, patchSize=16, layout=Sphere.DEFAULT_LAYOUT)
+{
+    this.gl = gl;
+    this.radius = radius;
+    this.patchSize = patchSize;     // # of sectors and stacks per patch
+    this.layout = layout.slice();
+    this.maxLevel = 6;
+    this.maxScreenError = 1.0;      // pixels
+    this.culling = true;            // horizon and frustum culling
+    this.maxUnusedFrames = 120;     // frames before an unused patch is disposed
+    this.frame = 0;                 // # of update() calls
+    this.patches = [];              // Sphere patches selected by update()
+    this.stats = { patches:0, triangles:0 };
+    this.roots = [GlobeLod.createNode(0, -90, 90, 0, 180),
+                  GlobeLod.createNode(0, -90, 90, 180, 360)];
+};
+
+GlobeLod.MAX_LEVEL = 10;
+
+GlobeLod.prototype =
+{
+    setMaxLevel: function(level)
+    {
+        this.maxLevel = Math.max(0, Math.min(GlobeLod.MAX_LEVEL, level));
+        return this;
+    },
+    setMaxScreenError: function(pixels)
+    {
+        if(pixels > 0)
+            this.maxScreenError = pixels;
+        return this;
+    },
+    ///////////////////////////////////////////////////////////////////////////
+    // delete VBOs of all patches and forget them, the tree is kept
+    ///////////////////////////////////////////////////////////////////////////
+    dispose: function()
+    {
+        let nodes = this.roots.slice();
+        while(nodes.length > 0)
+        {
+            let node = nodes.pop();
+            if(node.patch)
+            {
+                node.patch.dispose();
+                node.patch = null;
+            }
+            if(node.children)
+                nodes.push(...node.children);
+        }
+        this.patches = [];
+        return this;
+    },
+    toString: function()
+    {
+        return "===== GlobeLod =====\n" +
+               "          Radius: " + this.radius + "\n" +
+               "      Patch Size: " + this.patchSize + "\n" +
+               "       Max Level: " + this.maxLevel + "\n" +
+               "Max Screen Error: " + this.maxScreenError + "\n" +
+               "   Drawn Patches: " + this.stats.patches + "\n" +
+               " Drawn Triangles: " + this.stats.triangles + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // select patches for the current view
+    // projection and modelView are column-major 4x4 matrices (same as m4),
+    // and modelView may have uniform scale. viewportHeight is in pixels.
+    ///////////////////////////////////////////////////////////////////////////
+    update: function(projection, modelView, viewportHeight)
+    {
+        let view =
+        {
+            camera: GlobeLod.computeCameraPosition(modelView),
+            planes: GlobeLod.computeFrustumPlanes(multiplyMatrices(projection, modelView)),
+            pixelScale: 0.5 * viewportHeight * projection[5]    // pixels of 1 unit at distance 1
+        };
+
+        ++this.frame;
+        this.patches = [];
+        this.stats = { patches:0, triangles:0 };
+        for(let node of this.roots)
+            this.selectNode(node, view);
+        for(let node of this.roots)
+            this.evictNode(node);
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // add the node or its children to the draw list
+    ///////////////////////////////////////////////////////////////////////////
+    selectNode: function(node, view)
+    {
+        if(this.culling && !this.isNodeVisible(node, view))
+            return;
+
+        if(node.level < this.maxLevel && this.computeScreenError(node, view) > this.maxScreenError)
+        {
+            if(!node.children)
+                node.children = GlobeLod.splitNode(node);
+            node.lastSplit = this.frame;
+            for(let child of node.children)
+                this.selectNode(child, view);
+            return;
+        }
+
+        if(!node.patch)
+            node.patch = this.createPatch(node);
+        node.lastUsed = this.frame;
+        this.patches.push(node.patch);
+        this.stats.patches++;
+        this.stats.triangles += node.patch.getTriangleCount();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // dispose the patches of the subtree not selected for maxUnusedFrames, and
+    // remove the children not split for as long if they have no patches left
+    ///////////////////////////////////////////////////////////////////////////
+    evictNode: function(node)
+    {
+        if(node.patch && this.frame - node.lastUsed > this.maxUnusedFrames)
+        {
+            node.patch.dispose();
+            node.patch = null;
+        }
+        if(!node.children)
+            return;
+
+        let empty = true;
+        for(let child of node.children)
+        {
+            this.evictNode(child);
+            if(child.patch || child.children)
+                empty = false;
+        }
+        if(empty && this.frame - node.lastSplit > this.maxUnusedFrames)
+            node.children = null;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // the node is visible if any part of it faces the camera and its bounding
+    // sphere touches the view frustum
+    // Horizon: a point with normal n on the sphere faces the camera c if
+    // dot(n, c) > r. Within the normal cone of the node (axis a, half angle
+    // h), the largest dot(n, c) is |c| * cos(max(0, angle(a, c) - h)).
+    ///////////////////////////////////////////////////////////////////////////
+    isNodeVisible: function(node, view)
+    {
+        let r = this.radius;
+        let c = view.camera;
+        let a = node.axis;
+        let distance = Math.sqrt(c[0] * c[0] + c[1] * c[1] + c[2] * c[2]);
+        if(distance > r)
+        {
+            let cosAngle = (a[0] * c[0] + a[1] * c[1] + a[2] * c[2]) / distance;
+            let angle = Math.acos(Math.max(-1, Math.min(1, cosAngle)));
+            if(distance * Math.cos(Math.max(0, angle - node.halfAngle)) < r)
+                return false;
+        }
+
+        let cx = a[0] * r, cy = a[1] * r, cz = a[2] * r;
+        let boundRadius = 2 * r * Math.sin(node.halfAngle / 2);
+        for(let p of view.planes)
+        {
+            if(p[0] * cx + p[1] * cy + p[2] * cz + p[3] < -boundRadius)
+                return false;
+        }
+        return true;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // geometric error of the node in pixels at the nearest point of its
+    // bounding sphere
+    // The error is the sagitta of the largest sector/stack step of the patch,
+    // r * (1 - cos(step / 2)).
+    ///////////////////////////////////////////////////////////////////////////
+    computeScreenError: function(node, view)
+    {
+        let r = this.radius;
+        let step = Math.max(node.maxLon - node.minLon, node.maxLat - node.minLat) / this.patchSize * Math.PI / 180;
+        let error = r * (1 - Math.cos(step / 2));
+        let c = view.camera;
+        let dx = c[0] - node.axis[0] * r;
+        let dy = c[1] - node.axis[1] * r;
+        let dz = c[2] - node.axis[2] * r;
+        let distance = Math.sqrt(dx * dx + dy * dy + dz * dz) - 2 * r * Math.sin(node.halfAngle / 2);
+        distance = Math.max(distance, r * 0.0001);
+        return error / distance * view.pixelScale;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // build the Sphere patch of the node with skirts, then copy it to VBOs
+    // The bounds are set before building, so it builds once (the smallest
+    // sphere of the constructor aside), same as Sphere.fromBuildParams().
+    ///////////////////////////////////////////////////////////////////////////
+    createPatch: function(node)
+    {
+        let patch = new Sphere(null, this.radius, 3, 2, true, this.radius, this.layout);
+        patch.bounds = { minLat:node.minLat, maxLat:node.maxLat, minLon:node.minLon, maxLon:node.maxLon };
+        patch.set(this.radius, this.patchSize, this.patchSize, true, this.radius);
+        this.addSkirts(patch, node);
+        if(this.gl)
+            patch.upload(this.gl);
+        return patch;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // add skirts to the edges of a smooth patch, except the edges at poles
+    // A skirt vertex is the copy of an edge vertex moved toward the center,
+    // with the same normal, tex coord and tangent.
+    // Vertex (i, j) of the patch is at index i * (sectorCount + 1) + j, where
+    // i goes from north to south and j goes from west to east.
+    ///////////////////////////////////////////////////////////////////////////
+    addSkirts: function(patch, node)
+    {
+        let se = patch.sectorCount;
+        let st = patch.stackCount;
+        let row = se + 1;
+        let i, j;
+
+        // edge vertices, walking around the patch (north, east, south, west)
+        let edges = [];
+        let edge;
+        if(node.maxLat < 90)
+        {
+            for(edge = [], j = 0; j <= se; ++j) edge.push(j);
+            edges.push(edge);
+        }
+        for(edge = [], i = 0; i <= st; ++i) edge.push(i * row + se);
+        edges.push(edge);
+        if(node.minLat > -90)
+        {
+            for(edge = [], j = se; j >= 0; --j) edge.push(st * row + j);
+            edges.push(edge);
+        }
+        for(edge = [], i = st; i >= 0; --i) edge.push(i * row);
+        edges.push(edge);
+
+        // depth is the sagitta of the whole patch, enough to cover the
+        // error of a coarser neighbour
+        let span = Math.max(node.maxLon - node.minLon, node.maxLat - node.minLat) * Math.PI / 180;
+        let scale = 1 - Math.min(0.5, 1 - Math.cos(span / 2));
+
+        // copy the edge vertices once, corners are shared by 2 edges
+        let vertexCount = patch.getVertexCount();
+        let skirtIndex = {};
+        let sources = [];
+        for(edge of edges)
+        {
+            for(let k of edge)
+            {
+                if(skirtIndex[k] === undefined)
+                {
+                    skirtIndex[k] = vertexCount + sources.length;
+                    sources.push(k);
+                }
+            }
+        }
+
+        let count = vertexCount + sources.length;
+        let hasTangents = patch.hasTangents();
+        let vertices = new Float32Array(3 * count);
+        let normals = new Float32Array(3 * count);
+        let texCoords = new Float32Array(2 * count);
+        let tangents = hasTangents ? new Float32Array(4 * count) : [];
+        vertices.set(patch.vertices);
+        normals.set(patch.normals);
+        texCoords.set(patch.texCoords);
+        if(hasTangents)
+            tangents.set(patch.tangents);
+        let k, n;
+        for(n = 0; n < sources.length; ++n)
+        {
+            k = sources[n];
+            for(i = 0; i < 3; ++i)
+            {
+                vertices[(vertexCount + n) * 3 + i] = patch.vertices[k * 3 + i] * scale;
+                normals[(vertexCount + n) * 3 + i] = patch.normals[k * 3 + i];
+            }
+            texCoords[(vertexCount + n) * 2]     = patch.texCoords[k * 2];
+            texCoords[(vertexCount + n) * 2 + 1] = patch.texCoords[k * 2 + 1];
+            for(i = 0; hasTangents && i < 4; ++i)
+                tangents[(vertexCount + n) * 4 + i] = patch.tangents[k * 4 + i];
+        }
+
+        // 2 triangles per edge segment, a-b on the surface, a'-b' below
+        let segmentCount = 0;
+        for(edge of edges)
+            segmentCount += edge.length - 1;
+        let indexCount = patch.getIndexCount();
+        let indices = Sphere.createIndexArray(indexCount + segmentCount * 6, count);
+        indices.set(patch.indices);
+        let a, b;
+        for(edge of edges)
+        {
+            for(n = 0; n < edge.length - 1; ++n)
+            {
+                a = edge[n];
+                b = edge[n + 1];
+                indices.set([skirtIndex[a], a, b, skirtIndex[a], b, skirtIndex[b]], indexCount);
+                indexCount += 6;
+            }
+        }
+
+        patch.vertices = vertices;
+        patch.normals = normals;
+        patch.texCoords = texCoords;
+        patch.tangents = tangents;
+        patch.indices = indices;
+        patch.buildInterleavedVertices();
+        patch.buildDrawRanges();
+    }
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// create quadtree node of lat/lon bounds in degree
+// axis is the unit vector to the middle of the node, and halfAngle is the
+// largest angle (radian) between axis and the points on the node boundary.
+///////////////////////////////////////////////////////////////////////////////
+GlobeLod.createNode = function(level, minLat, maxLat, minLon, maxLon)
+{
+    let node = { level:level, minLat:minLat, maxLat:maxLat, minLon:minLon, maxLon:maxLon,
+                 axis:null, halfAngle:0, children:null, patch:null, lastUsed:0, lastSplit:0 };
+    node.axis = GlobeLod.computeDirection((minLat + maxLat) / 2, (minLon + maxLon) / 2);
+
+    // sample the boundary, the farthest point is on it
+    let samples = 8;
+    let i, lat, lon, d, dot;
+    let minDot = 1;
+    for(i = 0; i <= samples; ++i)
+    {
+        lat = minLat + (maxLat - minLat) * i / samples;
+        lon = minLon + (maxLon - minLon) * i / samples;
+        for(d of [GlobeLod.computeDirection(lat, minLon), GlobeLod.computeDirection(lat, maxLon),
+                  GlobeLod.computeDirection(minLat, lon), GlobeLod.computeDirection(maxLat, lon)])
+        {
+            dot = d[0] * node.axis[0] + d[1] * node.axis[1] + d[2] * node.axis[2];
+            minDot = Math.min(minDot, dot);
+        }
+    }
+    // a little margin for the boundary between the samples
+    node.halfAngle = Math.min(Math.PI, Math.acos(Math.max(-1, minDot)) * 1.05);
+    return node;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// 4 children of the node, NW, NE, SW, SE
+///////////////////////////////////////////////////////////////////////////////
+GlobeLod.splitNode = function(node)
+{
+    let level = node.level + 1;
+    let midLat = (node.minLat + node.maxLat) / 2;
+    let midLon = (node.minLon + node.maxLon) / 2;
+    return [GlobeLod.createNode(level, midLat, node.maxLat, node.minLon, midLon),
+            GlobeLod.createNode(level, midLat, node.maxLat, midLon, node.maxLon),
+            GlobeLod.createNode(level, node.minLat, midLat, node.minLon, midLon),
+            GlobeLod.createNode(level, node.minLat, midLat, midLon, node.maxLon)];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// unit vector at latitude and longitude in degree, same axes as Sphere
+///////////////////////////////////////////////////////////////////////////////
+GlobeLod.computeDirection = function(lat, lon)
+{
+    let u = lat * Math.PI / 180;
+    let v = lon * Math.PI / 180;
+    return [Math.cos(u) * Math.cos(v), Math.cos(u) * Math.sin(v), Math.sin(u)];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// camera position in object space from modelView matrix with uniform scale
+// The upper 3x3 is R*s, so its inverse is transpose / (s*s), and the camera
+// is -inverse * translation.
+///////////////////////////////////////////////////////////////////////////////
+GlobeLod.computeCameraPosition = function(m)
+{
+    let ss = m[0] * m[0] + m[1] * m[1] + m[2] * m[2];
+    return [-(m[0] * m[12] + m[1] * m[13] + m[2] * m[14]) / ss,
+            -(m[4] * m[12] + m[5] * m[13] + m[6] * m[14]) / ss,
+            -(m[8] * m[12] + m[9] * m[13] + m[10] * m[14]) / ss];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// 6 frustum planes (a,b,c,d) in object space from projection * modelView
+// The planes are normalized, so a*x + b*y + c*z + d is the signed distance,
+// positive inside.
+///////////////////////////////////////////////////////////////////////////////
+GlobeLod.computeFrustumPlanes = function(m)
+{
+    let planes = [];
+    let row3 = [m[3], m[7], m[11], m[15]];
+    for(let r = 0; r < 3; ++r)
+    {
+        let row = [m[r], m[4 + r], m[8 + r], m[12 + r]];
+        for(let sign of [1, -1])
+        {
+            let p = [row3[0] + sign * row[0], row3[1] + sign * row[1], row3[2] + sign * row[2], row3[3] + sign * row[3]];
+            let length = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+            planes.push([p[0] / length, p[1] / length, p[2] / length, p[3] / length]);
+        }
+    }
+    return planes;
+}
@@ -0,0 +1,333 @@
+///////////////////////////////////////////////////////////////////////////////
+// GlobeShaders.js
+// ===============
+// GLSL sources of the programs of Globe, so a globe does not need the shader
+// script elements in its page, e.g. inside <web-gl-sphere>.
+// Each program is a pair of vertex and fragment shaders; the star map and the
+// skybox share the vertex shader of the full screen quad.
+//
+// Example
+// =======
+//  let program = webglUtils.createProgramFromSources(gl, [GlobeShaders.lineVertex,
+//                                                         GlobeShaders.lineFragment]);
+///////////////////////////////////////////////////////////////////////////////
+
+export let GlobeShaders =
+{
+    // globe surface: texture, sun lighting, night lights, clouds shadow,
+    // ocean glint and relief, morphing to the flat map
+    mainVertex: `
+attribute vec3 vertex;
+attribute vec3 normal;
+attribute vec2 texCoord;
+attribute vec3 flatVertex;
+attribute vec4 tangent;
+uniform mat4 projection;
+uniform mat4 modelView;
+uniform float morph;      // 0: globe, 1: flat map
+varying vec2 vTexCoord;
+varying vec3 vNormal;
+varying vec4 vTangent;
+varying vec3 vPosition;   // on the globe, object space
+void main(void)
+{ 
+  // morph between globe and flat map, then transform to clip space
+  vec3 position = mix(vertex, flatVertex, morph);
+  gl_Position = projection * modelView * vec4(position, 1);
+  // the globe normal, also on the flat map, so the map shows day and night
+  vNormal = normal;
+  vTangent = tangent;
+  vPosition = vertex;
+  vTexCoord = texCoord;
+}
+
+`,
+
+    // fragment shader
+    mainFragment: `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+
+varying vec2 vTexCoord;
+varying vec3 vNormal;
+varying vec4 vTangent;        // +s direction, w is handedness of +t
+varying vec3 vPosition;
+uniform sampler2D uTexture;
+uniform bool lighting;
+uniform vec3 sunDirection;    // object space, unit length
+uniform float ambient;        // light on the night side
+uniform float terminator;     // half width of the twilight band, in cosine
+uniform sampler2D uNightTexture;
+uniform float nightIntensity;
+uniform float nightBlend;     // half width of the band where the lights fade, in cosine
+uniform sampler2D uCloudTexture;
+uniform bool cloudLuminanceAlpha;
+uniform float cloudRotation;  // s of the cloud layer turned from the ground
+uniform float cloudShadow;    // opacity of the shadow, 0 for no shadow
+uniform float cloudShadowOffset;  // shift toward the sun, in tex coords
+uniform sampler2D uWaterMask; // red is 1 over water
+uniform bool waterFromAlpha;  // use alpha of uTexture instead of the mask
+uniform vec3 cameraPosition;  // object space
+uniform float shininess;
+uniform float specularStrength;   // 0 for no highlight
+uniform sampler2D uNormalMap; // tangent space, green is up (north)
+uniform sampler2D uOcclusionMap;
+uniform float normalStrength;     // 0 for the globe normal
+uniform float occlusionStrength;  // 0 for no ambient occlusion
+
+// normal of the relief, from the normal map in tangent space
+// The bitangent cross(n, t) * w points to +t (south), so the green of the map
+// is along its negative. Without tangents, it is the globe normal.
+vec3 reliefNormal(vec3 n)
+{
+  vec3 t = vTangent.xyz - n * dot(n, vTangent.xyz);
+  if(normalStrength <= 0.0 || dot(t, t) < 0.000001)
+    return n;
+  t = normalize(t);
+  vec3 b = cross(n, t) * vTangent.w;
+  vec3 m = texture2D(uNormalMap, vTexCoord).xyz * 2.0 - 1.0;
+  m.xy *= normalStrength;
+  return normalize(t * m.x - b * m.y + n * m.z);
+}
+
+// cloud coverage at the tex coord, from alpha or luminance of the cloud map
+float cloudCoverage(vec2 texCoord)
+{
+  vec4 cloud = texture2D(uCloudTexture, texCoord);
+  return cloudLuminanceAlpha ? dot(cloud.rgb, vec3(0.299, 0.587, 0.114)) : cloud.a;
+}
+
+void main(void)
+{
+  vec4 color = texture2D(uTexture, vTexCoord);
+  if(lighting)
+  {
+    // diffuse is wrapped by the band, so it fades in across the terminator
+    // instead of a hard edge at 90 degrees from the sun. The band is from the
+    // globe normal, and the diffuse from the relief, so the relief does not
+    // light up the night side.
+    vec3 surface = reliefNormal(normalize(vNormal));
+    float d = dot(normalize(vNormal), sunDirection);
+    float day = smoothstep(-terminator, terminator, d);
+    float diffuse = clamp((dot(surface, sunDirection) + terminator) / (1.0 + terminator), 0.0, 1.0);
+    float occlusion = mix(1.0, texture2D(uOcclusionMap, vTexCoord).r, occlusionStrength);
+    color.rgb *= (ambient + (1.0 - ambient) * day * diffuse) * occlusion;
+
+    // Blinn-Phong highlight of the sun, only over water
+    if(specularStrength > 0.0)
+    {
+      float water = waterFromAlpha ? color.a : texture2D(uWaterMask, vTexCoord).r;
+      vec3 halfway = normalize(sunDirection + normalize(cameraPosition - vPosition));
+      float specular = pow(max(dot(surface, halfway), 0.0), shininess);
+      color.rgb += vec3(1.0, 0.95, 0.85) * specular * specularStrength * water * day;
+    }
+
+    // shadow of the cloud between this point and the sun, so it is shifted
+    // along the sun direction in the tangent plane (east is +s, north is -t)
+    // s is wrapped here, the texture may not REPEAT (non-power-of-two size)
+    if(cloudShadow > 0.0)
+    {
+      vec3 n = normalize(vNormal);
+      vec3 east = normalize(vec3(-n.y, n.x, 0.0) + vec3(0.000001, 0.0, 0.0));
+      vec3 north = cross(n, east);
+      vec2 offset = vec2(dot(sunDirection, east), -dot(sunDirection, north)) * cloudShadowOffset;
+      vec2 shadowCoord = vTexCoord + vec2(-cloudRotation, 0.0) + offset;
+      float shadow = cloudCoverage(vec2(fract(shadowCoord.s), shadowCoord.t));
+      color.rgb *= 1.0 - shadow * cloudShadow * day;
+    }
+
+    // city lights where the sun is below the horizon
+    float night = 1.0 - smoothstep(-nightBlend, nightBlend, d);
+    color.rgb += texture2D(uNightTexture, vTexCoord).rgb * nightIntensity * night;
+  }
+  gl_FragColor = vec4(color.rgb, 1.0);    // alpha may be the water mask
+}
+`,
+
+    // line shaders for graticule
+    lineVertex: `
+attribute vec3 vertex;
+attribute vec3 flatVertex;
+uniform mat4 projection;
+uniform mat4 modelView;
+uniform float morph;
+void main(void)
+{
+  gl_Position = projection * modelView * vec4(mix(vertex, flatVertex, morph), 1);
+}
+`,
+    lineFragment: `
+precision mediump float;
+uniform vec4 color;
+void main(void)
+{
+  gl_FragColor = color;
+}
+`,
+
+    // background shaders: stars at infinity, and a star map or skybox on a
+    // full screen quad; the rotation has no zoom or translation
+    starVertex: `
+attribute vec3 vertex;
+attribute float pointSize;
+attribute vec3 color;
+uniform mat4 projection;
+uniform mat4 rotation;
+varying vec3 vColor;
+void main(void)
+{
+  // direction (w = 0) at the far plane
+  gl_Position = (projection * rotation * vec4(vertex, 0)).xyww;
+  gl_PointSize = pointSize;
+  vColor = color;
+}
+`,
+    starFragment: `
+precision mediump float;
+varying vec3 vColor;
+void main(void)
+{
+  // round point with soft edge
+  vec2 p = gl_PointCoord * 2.0 - 1.0;
+  float alpha = 1.0 - smoothstep(0.5, 1.0, dot(p, p));
+  gl_FragColor = vec4(vColor * alpha, alpha);
+}
+`,
+    skyVertex: `
+attribute vec2 vertex;
+uniform mat4 inverseViewProjection;   // inverse of projection * rotation
+varying vec3 vDirection;
+void main(void)
+{
+  vec4 far = inverseViewProjection * vec4(vertex, 1, 1);
+  vDirection = far.xyz / far.w;
+  gl_Position = vec4(vertex, 1, 1);
+}
+`,
+    skyMapFragment: `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+
+varying vec3 vDirection;
+uniform sampler2D uSkyTexture;
+void main(void)
+{
+  // equirectangular, same as the tex coords of Sphere (Z is up)
+  vec3 d = normalize(vDirection);
+  vec2 texCoord = vec2(fract(atan(d.y, d.x) / 6.2831853), acos(d.z) / 3.1415927);
+  gl_FragColor = texture2D(uSkyTexture, texCoord);
+}
+`,
+    skyCubeFragment: `
+precision mediump float;
+varying vec3 vDirection;
+uniform samplerCube uSkyTexture;
+void main(void)
+{
+  // cube map is Y-up, the globe is Z-up
+  vec3 d = normalize(vDirection);
+  gl_FragColor = textureCube(uSkyTexture, vec3(d.x, d.z, -d.y));
+}
+`,
+
+    // cloud shaders, a unit sphere scaled to the cloud layer
+    cloudVertex: `
+attribute vec3 vertex;
+attribute vec2 texCoord;
+uniform mat4 projection;
+uniform mat4 modelView;
+varying vec3 vNormal;
+varying vec2 vTexCoord;
+void main(void)
+{
+  vNormal = vertex;
+  vTexCoord = texCoord;
+  gl_Position = projection * modelView * vec4(vertex, 1);
+}
+`,
+    cloudFragment: `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+
+varying vec3 vNormal;
+varying vec2 vTexCoord;
+uniform sampler2D uCloudTexture;
+uniform bool cloudLuminanceAlpha;
+uniform float opacity;
+uniform bool lighting;
+uniform vec3 sunDirection;    // object space of the turned cloud layer
+uniform float ambient;
+uniform float terminator;
+
+void main(void)
+{
+  vec4 cloud = texture2D(uCloudTexture, vTexCoord);
+  float alpha = cloudLuminanceAlpha ? dot(cloud.rgb, vec3(0.299, 0.587, 0.114)) : cloud.a;
+  float light = 1.0;
+  if(lighting)
+  {
+    float d = dot(normalize(vNormal), sunDirection);
+    light = ambient + (1.0 - ambient) * smoothstep(-terminator, terminator, d) * clamp(d + terminator, 0.0, 1.0);
+  }
+  gl_FragColor = vec4(vec3(light), alpha * opacity);
+}
+`,
+
+    // atmosphere shaders, a unit sphere scaled to the top of the atmosphere
+    atmosphereVertex: `
+attribute vec3 vertex;
+uniform mat4 projection;
+uniform mat4 modelView;
+varying vec3 vPosition;
+void main(void)
+{
+  vPosition = vertex;
+  gl_Position = projection * modelView * vec4(vertex, 1);
+}
+`,
+    atmosphereFragment: `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+#else
+    precision mediump float;
+#endif
+
+varying vec3 vPosition;
+uniform vec3 cameraPosition;  // object space of the unit shell
+uniform vec3 sunDirection;
+uniform bool lighting;
+uniform float innerRadius;    // globe radius / atmosphere radius
+uniform vec3 color;
+uniform float intensity;
+
+void main(void)
+{
+  // length of the view ray inside the shell of uniform density, 1 at the
+  // limb of the globe where it is longest, so the glow fades to 0 at the top
+  // of the atmosphere and is thin in front of the globe
+  vec3 normal = normalize(vPosition);
+  float c = max(dot(normal, normalize(cameraPosition - vPosition)), 0.0);
+  float b2 = 1.0 - c * c;                     // (distance of ray from center)^2
+  float k2 = innerRadius * innerRadius;
+  float path = (b2 > k2) ? 2.0 * c : c - sqrt(k2 - b2);
+  path /= 2.0 * sqrt(1.0 - k2);
+
+  // scattered sunlight on the day side, a little over the terminator
+  float sunlight = 1.0;
+  if(lighting)
+    sunlight = smoothstep(-0.3, 0.4, dot(normal, sunDirection));
+
+  float glow = clamp(path * sunlight * intensity, 0.0, 1.0);
+  gl_FragColor = vec4(color * glow, glow);
+}
+`
+};
@@ -0,0 +1,315 @@
+///////////////////////////////////////////////////////////////////////////////
+// Graticule.js
+// ============
+// Line geometry of latitude/longitude grid around a sphere, drawn with
+// gl.LINES. With default constructor, it creates the grid lines every 15
+// degrees at radius=1.005, slightly above a unit Sphere, so the lines do not
+// z-fight with the textured surface.
+// It has 4 sets of lines in one VBO, and each set can be shown or hidden and
+// has its own color (RGBA, alpha is the opacity):
+//  grid:          parallels and meridians at every spacing degree, counted
+//                 from the equator and the prime meridian (without them)
+//  equator:       latitude 0
+//  tropics:       tropic of Cancer and Capricorn
+//  primeMeridian: longitude 0, the middle of the texture (sector angle 180)
+//
+// The indices are 16-bit, so all sets have at most 65536 vertices. The
+// spacing is at least MIN_SPACING degree, and the segments are reduced if a
+// fine grid still needs more vertices.
+//
+// The GL context is optional, same as Sphere; call upload(gl) later.
+//
+// To morph with the flat map of Sphere ("flatVertex" in its layout), the
+// same lines on the map are in a separate VBO, vboFlatVertex (12 bytes per
+// vertex). They are for a globe of globeRadius, and lifted toward the viewer
+// by (radius - globeRadius), so they stay above the map.
+//
+// Example of OpenGL drawing calls (position only, 12 bytes per vertex)
+// ===============================
+//  gl.bindBuffer(gl.ARRAY_BUFFER, graticule.vboVertex);
+//  gl.vertexAttribPointer(gl.program.attribute.vertexPosition, 3, gl.FLOAT, false, 12, 0);
+//  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, graticule.vboIndex);
+//  for(let range of graticule.getDrawRanges())
+//  {
+//      gl.uniform4fv(gl.program.uniform.color, range.color);
+//      gl.drawElements(gl.LINES, range.indexCount, gl.UNSIGNED_SHORT, range.indexOffset);
+//  }
+///////////////////////////////////////////////////////////////////////////////
+
+export let Graticule = function(gl=null, radius=1.005, spacing=15, segments=120, globeRadius=1)
+{
+    this.gl = gl;
+
+    this.radius = 1.005;
+    this.spacing = 15;      // degree between grid lines
+    this.segments = 120;    // # of line segments of a full circle
+    this.globeRadius = 1;   // radius of the globe below, for flat map
+    this.vertices = [];
+    this.flatVertices = [];
+    this.indices = [];
+    this.ranges = {};       // name -> {indexOffset, indexCount}, offset in bytes
+    this.visible = { grid:true, equator:true, tropics:true, primeMeridian:true };
+    this.colors = { grid:          [1.0, 1.0, 1.0, 0.3],
+                    equator:       [1.0, 0.8, 0.2, 0.8],
+                    tropics:       [1.0, 0.5, 0.2, 0.6],
+                    primeMeridian: [0.3, 0.8, 1.0, 0.8] };
+    if(gl)
+    {
+        this.vboVertex = gl.createBuffer();
+        this.vboFlatVertex = gl.createBuffer();
+        this.vboIndex = gl.createBuffer();
+    }
+    // init
+    this.globeRadius = globeRadius;
+    this.set(radius, spacing, segments);
+};
+
+Graticule.NAMES = ["grid", "equator", "tropics", "primeMeridian"];
+Graticule.TROPIC_LATITUDE = 23.4364;    // degree, axial tilt of Earth
+Graticule.MIN_SPACING = 1;              // degree
+Graticule.MAX_VERTEX_COUNT = 65536;     // limit of 16-bit indices
+
+Graticule.prototype =
+{
+    set: function(r, spacing, segments)
+    {
+        this.radius = r;
+        this.spacing = spacing;
+        if(spacing <= 0 || spacing > 90)
+            this.spacing = 15;
+        else if(spacing < Graticule.MIN_SPACING)
+            this.spacing = Graticule.MIN_SPACING;
+        this.segments = Math.ceil(segments / 2) * 2;   // even for meridians
+        if(segments < 8)
+            this.segments = 8;
+        while(this.segments > 8 && this.countVertices() > Graticule.MAX_VERTEX_COUNT)
+            this.segments -= 2;
+        this.buildVertices();
+        return this;
+    },
+    setRadius: function(r)
+    {
+        if(this.radius != r)
+            this.set(r, this.spacing, this.segments);
+        return this;
+    },
+    setSpacing: function(spacing)
+    {
+        if(this.spacing != spacing)
+            this.set(this.radius, spacing, this.segments);
+        return this;
+    },
+    setVisible: function(name, visible)
+    {
+        if(this.visible[name] !== undefined)
+            this.visible[name] = visible;
+        return this;
+    },
+    setColor: function(name, r, g, b, a)
+    {
+        if(this.colors[name] !== undefined)
+            this.colors[name] = [r, g, b, a];
+        return this;
+    },
+    getIndexCount: function()
+    {
+        return this.indices.length;
+    },
+    getVertexCount: function()
+    {
+        return this.vertices.length / 3;
+    },
+    // # of vertices buildVertices() adds with the current spacing and segments
+    countVertices: function()
+    {
+        let lines = this.getGridLines();
+        let parallels = lines.parallels.length + 3;     // equator and tropics
+        let meridians = lines.meridians.length + 1;     // prime meridian
+        return parallels * (this.segments + 1) + meridians * (this.segments / 2 + 1);
+    },
+    // latitudes and sector angles (degree) of the grid lines, stepping out from
+    // the equator and the prime meridian (sector angle 180); these 2 are sets
+    // of their own, so they are not in the grid
+    getGridLines: function()
+    {
+        let lines = { parallels:[], meridians:[] };
+        let k, angle;
+        for(k = 1; k * this.spacing < 90; ++k)
+            lines.parallels.push(k * this.spacing, -k * this.spacing);
+        for(k = 1; k * this.spacing <= 180; ++k)
+        {
+            angle = k * this.spacing;
+            if(angle < 180)
+                lines.meridians.push(180 + angle);
+            lines.meridians.push(180 - angle);
+        }
+        return lines;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // return the visible line sets to draw, in the order of Graticule.NAMES
+    // each item is {name, color, indexOffset, indexCount}
+    ///////////////////////////////////////////////////////////////////////////
+    getDrawRanges: function()
+    {
+        let ranges = [];
+        for(let name of Graticule.NAMES)
+        {
+            if(this.visible[name] && this.ranges[name].indexCount > 0)
+            {
+                ranges.push({name: name,
+                             color: this.colors[name],
+                             indexOffset: this.ranges[name].indexOffset,
+                             indexCount: this.ranges[name].indexCount});
+            }
+        }
+        return ranges;
+    },
+    toString: function()
+    {
+        return "===== Graticule =====\n" +
+               "        Radius: " + this.radius + "\n" +
+               "       Spacing: " + this.spacing + "\n" +
+               "      Segments: " + this.segments + "\n" +
+               "    Line Count: " + (this.getIndexCount() / 2) + "\n" +
+               "  Vertex Count: " + this.getVertexCount() + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate line vertices and indices of all sets
+    ///////////////////////////////////////////////////////////////////////////
+    buildVertices: function()
+    {
+        let lines = this.getGridLines();
+        let lat, lon, start;
+        this.vertices = [];
+        this.flatVertices = [];
+        this.indices = [];
+
+        // grid: parallels without poles, and meridians
+        start = this.indices.length;
+        for(lat of lines.parallels)
+            this.addParallel(lat);
+        for(lon of lines.meridians)
+            this.addMeridian(lon);
+        this.ranges.grid = {indexOffset: start * 2, indexCount: this.indices.length - start};
+
+        start = this.indices.length;
+        this.addParallel(0);
+        this.ranges.equator = {indexOffset: start * 2, indexCount: this.indices.length - start};
+
+        start = this.indices.length;
+        this.addParallel(Graticule.TROPIC_LATITUDE);
+        this.addParallel(-Graticule.TROPIC_LATITUDE);
+        this.ranges.tropics = {indexOffset: start * 2, indexCount: this.indices.length - start};
+
+        start = this.indices.length;
+        this.addMeridian(180);
+        this.ranges.primeMeridian = {indexOffset: start * 2, indexCount: this.indices.length - start};
+
+        this.vertices = new Float32Array(this.vertices);
+        this.flatVertices = new Float32Array(this.flatVertices);
+        this.indices = new Uint16Array(this.indices);
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // add a closed circle at latitude (degree)
+    // The last vertex at 360 degree duplicates the first one, so the line
+    // does not cross the flat map from its right edge back to its left edge.
+    ///////////////////////////////////////////////////////////////////////////
+    addParallel: function(lat)
+    {
+        let first = this.vertices.length / 3;
+        let u = lat * Math.PI / 180;
+        let step = 2 * Math.PI / this.segments;
+        for(let i = 0; i <= this.segments; ++i)
+        {
+            this.addVertex(u, i * step);
+            if(i > 0)
+                this.indices.push(first + i - 1, first + i);
+        }
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // add a half circle from north pole to south pole at longitude (degree)
+    ///////////////////////////////////////////////////////////////////////////
+    addMeridian: function(lon)
+    {
+        let first = this.vertices.length / 3;
+        let v = lon * Math.PI / 180;
+        let count = this.segments / 2;
+        let step = Math.PI / count;
+        for(let i = 0; i <= count; ++i)
+        {
+            this.addVertex(Math.PI / 2 - i * step, v);
+            if(i > 0)
+                this.indices.push(first + i - 1, first + i);
+        }
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // add a vertex at latitude u and longitude v (radian), same as Sphere
+    // and its position on the flat map, same as Sphere.computeFlatVertices()
+    ///////////////////////////////////////////////////////////////////////////
+    addVertex: function(u, v)
+    {
+        let xy = this.radius * Math.cos(u);
+        this.vertices.push(xy * Math.cos(v), xy * Math.sin(v), this.radius * Math.sin(u));
+        this.flatVertices.push(this.globeRadius * (v - Math.PI), this.globeRadius - this.radius, this.globeRadius * u);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // set GL context of a headless graticule and copy its data to VBOs
+    ///////////////////////////////////////////////////////////////////////////
+    upload: function(gl)
+    {
+        this.gl = gl;
+        this.buildVbos();
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // delete VBOs and keep the vertex arrays for upload(gl), same as Sphere
+    ///////////////////////////////////////////////////////////////////////////
+    dispose: function()
+    {
+        let gl = this.gl;
+        if(gl && !gl.isContextLost())
+        {
+            gl.deleteBuffer(this.vboVertex);
+            gl.deleteBuffer(this.vboFlatVertex);
+            gl.deleteBuffer(this.vboIndex);
+        }
+        this.vboVertex = null;
+        this.vboFlatVertex = null;
+        this.vboIndex = null;
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // copy vertex and index data to VBOs
+    ///////////////////////////////////////////////////////////////////////////
+    buildVbos: function()
+    {
+        let gl = this.gl;
+        if(!gl)
+            return;     // headless, upload(gl) later
+
+        if(!this.vboVertex)
+        {
+            this.vboVertex = gl.createBuffer();
+            this.vboFlatVertex = gl.createBuffer();
+            this.vboIndex = gl.createBuffer();
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vboVertex);
+        gl.bufferData(gl.ARRAY_BUFFER, this.vertices, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vboFlatVertex);
+        gl.bufferData(gl.ARRAY_BUFFER, this.flatVertices, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.vboIndex);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, this.indices, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
+    }
+};
@@ -0,0 +1,536 @@
+///////////////////////////////////////////////////////////////////////////////
+// Icosphere.js
+// ============
+// Polyhedron sphere made by subdividing the 20 triangles of an icosahedron.
+// Unlike the UV sphere of Sphere.js, the triangles are almost the same size
+// everywhere, so no vertices are wasted near the poles.
+// With default constructor, it creates an icosphere with radius=1,
+// subdivision=3, smooth=true. Subdivision 0 is the icosahedron itself, and
+// each level splits every triangle into 4.
+//
+// It has the same drawing surface as Sphere (vboVertex, vboIndex, stride=32,
+// getIndexCount()), so the same OpenGL calls draw it:
+//  gl.bindBuffer(gl.ARRAY_BUFFER, icosphere.vboVertex);
+//  gl.vertexAttribPointer(gl.program.attribute.vertexPosition, 3, gl.FLOAT, false, 32, 0);
+//  gl.vertexAttribPointer(gl.program.attribute.vertexNormal, 3, gl.FLOAT, false, 32, 12);
+//  gl.vertexAttribPointer(gl.program.attribute.vertexTexCoord, 2, gl.FLOAT, false, 32, 24);
+//  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, icosphere.vboIndex);
+//  gl.drawElements(gl.TRIANGLES, icosphere.getIndexCount(), icosphere.indexType, 0);
+//
+// The texture coords are equirectangular, same as Sphere, and all in [0,1],
+// so the texture does not need REPEAT wrap. A triangle crossing the texture
+// seam is split on the seam, and the vertices on the seam and at the poles
+// are duplicated with different s, so no triangle samples the whole texture
+// backward. A pole vertex takes the s in the middle of its triangle.
+//
+// The GL context is optional, same as Sphere; call upload(gl) later.
+//
+// This file depends on:
+// Sphere.js
+///////////////////////////////////////////////////////////////////////////////
+
+import { Sphere } from "./Sphere.js";
+
+export let Icosphere = function(gl=null, radius=1, subdivision=3, smooth=true)
+{
+    this.gl = gl;
+
+    this.radius = 1;
+    this.subdivision = 3;
+    this.smooth = true;
+    this.vertices = [];
+    this.normals = [];
+    this.texCoords = [];
+    this.indices = [];
+    this.interleavedVertices = [];
+    this.layout = Sphere.DEFAULT_LAYOUT;    // no tangents
+    this.stride = 32;   // stride for interleaved vertices, always=32
+    this.offsets = {};
+    if(gl)
+    {
+        this.vboVertex = gl.createBuffer();
+        this.vboIndex = gl.createBuffer();
+    }
+    this.indexType = Sphere.UNSIGNED_SHORT;
+    this.drawRanges = [];
+    // init
+    this.set(radius, subdivision, smooth);
+};
+
+// the flat build of level 5 has 62556 vertices (61440 and the triangles split
+// on the seam), the limit of 16-bit indices
+Icosphere.MAX_SUBDIVISION = 5;
+
+Icosphere.prototype =
+{
+    set: function(r, sub, sm)
+    {
+        this.radius = r;
+        this.subdivision = sub;
+        if(sub < 0)
+            this.subdivision = 0;
+        if(sub > Icosphere.MAX_SUBDIVISION)
+            this.subdivision = Icosphere.MAX_SUBDIVISION;
+        this.smooth = sm;
+        if(sm)
+            this.buildVerticesSmooth();
+        else
+            this.buildVerticesFlat();
+        return this;
+    },
+    setRadius: function(r)
+    {
+        if(this.radius != r)
+            this.set(r, this.subdivision, this.smooth);
+        return this;
+    },
+    setSubdivision: function(s)
+    {
+        if(this.subdivision != s)
+            this.set(this.radius, s, this.smooth);
+        return this;
+    },
+    setSmooth: function(s)
+    {
+        if(this.smooth != s)
+        {
+            this.smooth = s;
+            if(this.smooth)
+                this.buildVerticesSmooth();
+            else
+                this.buildVerticesFlat();
+        }
+        return this;
+    },
+    getTriangleCount: function()
+    {
+        return this.getIndexCount() / 3;
+    },
+    getIndexCount: function()
+    {
+        return this.indices.length;
+    },
+    getVertexCount: function()
+    {
+        return this.vertices.length / 3;
+    },
+    getNormalCount: function()
+    {
+        return this.normals.length / 3;
+    },
+    getTexCoordCount: function()
+    {
+        return this.texCoords.length / 2;
+    },
+    toString: function()
+    {
+        return "===== Icosphere =====\n" +
+               "        Radius: " + this.radius + "\n" +
+               "   Subdivision: " + this.subdivision + "\n" +
+               " Smooth Shader: " + this.smooth + "\n" +
+               "Triangle Count: " + this.getTriangleCount() + "\n" +
+               "   Index Count: " + this.getIndexCount() + "\n" +
+               "  Vertex Count: " + this.getVertexCount() + "\n" +
+               "  Normal Count: " + this.getNormalCount() + "\n" +
+               "TexCoord Count: " + this.getTexCoordCount() + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate vertices of icosphere with smooth shading
+    // The vertices of the subdivided mesh are shared by the adjacent
+    // triangles, except where a triangle needs a different s coord of the
+    // same vertex (seam and poles). Such a vertex is copied once per s value.
+    ///////////////////////////////////////////////////////////////////////////
+    buildVerticesSmooth: function()
+    {
+        let mesh = Icosphere.buildTexturedMesh(this.subdivision);
+        let positions = mesh.positions;
+        let triangles = mesh.indices;
+        let st = mesh.texCoords;
+        let vertices = [];
+        let normals = [];
+        let texCoords = [];
+        let indices = [];
+        let sharedIndices = {};     // key: "<unit vertex index>_<s>"
+        let i, k, key, index, x, y, z;
+
+        for(i = 0; i < triangles.length; ++i)
+        {
+            k = triangles[i];
+            key = k + "_" + st[i*2];
+            index = sharedIndices[key];
+            if(index === undefined)
+            {
+                x = positions[k*3];
+                y = positions[k*3+1];
+                z = positions[k*3+2];
+                index = vertices.length / 3;
+                vertices.push(x * this.radius, y * this.radius, z * this.radius);
+                normals.push(x, y, z);  // unit position is the normal
+                texCoords.push(st[i*2], st[i*2+1]);
+                sharedIndices[key] = index;
+            }
+            indices.push(index);
+        }
+
+        this.copyArrays(vertices, normals, texCoords, indices);
+
+        // generate interleaved vertex array as well
+        this.buildInterleavedVertices();
+        this.buildDrawRanges();
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate vertices of icosphere with flat shading
+    // every triangle has its own 3 vertices with the face normal
+    ///////////////////////////////////////////////////////////////////////////
+    buildVerticesFlat: function()
+    {
+        let mesh = Icosphere.buildTexturedMesh(this.subdivision);
+        let positions = mesh.positions;
+        let triangles = mesh.indices;
+        let count = triangles.length;
+        let vertices = new Float32Array(count * 3);
+        let normals = new Float32Array(count * 3);
+        let texCoords = new Float32Array(count * 2);
+        let indices = new Uint16Array(count);
+        let r = this.radius;
+        let i, j, k1, k2, k3, n;
+
+        for(i = 0; i < count; i += 3)
+        {
+            k1 = triangles[i] * 3;
+            k2 = triangles[i+1] * 3;
+            k3 = triangles[i+2] * 3;
+            vertices.set([positions[k1] * r, positions[k1+1] * r, positions[k1+2] * r,
+                          positions[k2] * r, positions[k2+1] * r, positions[k2+2] * r,
+                          positions[k3] * r, positions[k3+1] * r, positions[k3+2] * r], i * 3);
+
+            n = Sphere.computeFaceNormal(positions[k1], positions[k1+1], positions[k1+2],
+                                         positions[k2], positions[k2+1], positions[k2+2],
+                                         positions[k3], positions[k3+1], positions[k3+2]);
+            for(j = 0; j < 3; ++j)
+                normals.set(n, (i + j) * 3);
+
+            texCoords.set(mesh.texCoords.slice(i * 2, i * 2 + 6), i * 2);
+
+            indices[i]   = i;
+            indices[i+1] = i + 1;
+            indices[i+2] = i + 2;
+        }
+
+        this.vertices = vertices;
+        this.normals = normals;
+        this.texCoords = texCoords;
+        this.indices = indices;
+
+        // generate interleaved vertex array as well
+        this.buildInterleavedVertices();
+        this.buildDrawRanges();
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // copy JS arrays to typed arrays
+    ///////////////////////////////////////////////////////////////////////////
+    copyArrays: function(vertices, normals, texCoords, indices)
+    {
+        this.vertices = new Float32Array(vertices);
+        this.normals = new Float32Array(normals);
+        this.texCoords = new Float32Array(texCoords);
+        this.indices = new Uint16Array(indices);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // set GL context of a headless icosphere and copy its data to VBOs
+    ///////////////////////////////////////////////////////////////////////////
+    upload: function(gl)
+    {
+        this.gl = gl;
+        this.buildVbos();
+        return this;
+    },
+
+    // interleaving, uploading and disposing are identical to Sphere
+    // The vertices always fit in 16-bit indices, so there is 1 draw range.
+    buildInterleavedVertices: Sphere.prototype.buildInterleavedVertices,
+    buildDrawRanges: Sphere.prototype.buildDrawRanges,
+    buildVbos: Sphere.prototype.buildVbos,
+    dispose: Sphere.prototype.dispose
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// class (static) functions
+///////////////////////////////////////////////////////////////////////////////
+
+///////////////////////////////////////////////////////////////////////////////
+// build the 12 vertices and 20 triangles of an icosahedron with radius 1
+// The north pole is index 0 and the south pole is index 11. The upper and
+// lower rows are at elevation +/-atan(1/2), and the lower row is rotated by
+// 36 degrees from the upper row.
+///////////////////////////////////////////////////////////////////////////////
+Icosphere.buildIcosahedron = function()
+{
+    const H_ANGLE = Math.PI / 180 * 72;     // 72 degree = 360 / 5
+    const V_ANGLE = Math.atan(1 / 2);       // elevation = 26.565 degree
+    let positions = [0, 0, 1];              // north pole
+    let indices = [];
+    let hAngle1 = -Math.PI / 2 - H_ANGLE / 2;   // start from -126 deg at 1st row
+    let hAngle2 = -Math.PI / 2;                 // start from -90 deg at 2nd row
+    let z = Math.sin(V_ANGLE);
+    let xy = Math.cos(V_ANGLE);
+    let i, u1, u2, l1, l2;
+
+    for(i = 0; i < 5; ++i, hAngle1 += H_ANGLE)
+        positions.push(xy * Math.cos(hAngle1), xy * Math.sin(hAngle1), z);
+    for(i = 0; i < 5; ++i, hAngle2 += H_ANGLE)
+        positions.push(xy * Math.cos(hAngle2), xy * Math.sin(hAngle2), -z);
+    positions.push(0, 0, -1);               // south pole
+
+    // triangles are counter-clockwise seen from outside
+    for(i = 0; i < 5; ++i)
+    {
+        u1 = 1 + i;
+        u2 = 1 + (i + 1) % 5;
+        l1 = 6 + i;
+        l2 = 6 + (i + 1) % 5;
+        indices.push(0, u1, u2);
+        indices.push(u1, l1, u2);
+        indices.push(u2, l1, l2);
+        indices.push(11, l2, l1);
+    }
+    return {positions: positions, indices: indices};
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// build a subdivided icosahedron with radius 1 (shared vertices, no tex coords)
+// Each triangle is split into 4 by the midpoints of its edges, and the new
+// vertices are pushed out to the unit sphere. A midpoint is shared with the
+// neighbour triangle through the edge key.
+///////////////////////////////////////////////////////////////////////////////
+Icosphere.buildUnitMesh = function(subdivision)
+{
+    let mesh = Icosphere.buildIcosahedron();
+    let positions = mesh.positions;
+    let indices = mesh.indices;
+    let i, level, newIndices, midpoints, i1, i2, i3, m1, m2, m3;
+
+    // find or add the midpoint vertex of an edge
+    function getMidpoint(a, b)
+    {
+        let key = (a < b) ? (a + "_" + b) : (b + "_" + a);
+        let index = midpoints[key];
+        if(index === undefined)
+        {
+            let x = positions[a*3]   + positions[b*3];
+            let y = positions[a*3+1] + positions[b*3+1];
+            let z = positions[a*3+2] + positions[b*3+2];
+            let scale = 1 / Math.sqrt(x * x + y * y + z * z);
+            index = positions.length / 3;
+            positions.push(x * scale, y * scale, z * scale);
+            midpoints[key] = index;
+        }
+        return index;
+    }
+
+    for(level = 0; level < subdivision; ++level)
+    {
+        newIndices = [];
+        midpoints = {};
+        for(i = 0; i < indices.length; i += 3)
+        {
+            //         i1
+            //        /  \
+            //      m1----m3
+            //     /  \  /  \
+            //   i2----m2----i3
+            i1 = indices[i];
+            i2 = indices[i+1];
+            i3 = indices[i+2];
+            m1 = getMidpoint(i1, i2);
+            m2 = getMidpoint(i2, i3);
+            m3 = getMidpoint(i1, i3);
+            newIndices.push(i1, m1, m3,
+                            m1, i2, m2,
+                            m1, m2, m3,
+                            m3, m2, i3);
+        }
+        indices = newIndices;
+    }
+    return {positions: positions, indices: indices};
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// compute equirectangular tex coords (s,t) of a unit vector
+// s = longitude / 2pi in [0, 1), starting from +X axis like Sphere
+// t = 0 at the north pole and 1 at the south pole
+///////////////////////////////////////////////////////////////////////////////
+Icosphere.computeTexCoord = function(x, y, z)
+{
+    let s = 0;
+    if(Math.abs(y) > 0.000001 || x < 0)     // keep the seam exactly at s=0
+    {
+        s = Math.atan2(y, x) / (2 * Math.PI);
+        if(s < 0)
+            s += 1;
+    }
+    let t = 0.5 - Math.asin(Math.max(-1, Math.min(1, z))) / Math.PI;
+    return [s, t];
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// compute tex coords of a triangle, indexed to the unit positions
+// It returns [s1,t1, s2,t2, s3,t3].
+// If the triangle crosses the seam, the vertices near s=0 are moved to s+1.
+// A pole has no longitude, so its s is the middle of the other 2 vertices.
+///////////////////////////////////////////////////////////////////////////////
+Icosphere.computeTriangleTexCoords = function(positions, i1, i2, i3)
+{
+    const POLE_Z = 1 - 0.000001;
+    let ids = [i1, i2, i3];
+    let st = [];
+    let isPole = [];
+    let minS = 1, maxS = 0;
+    let i, tc, sum;
+
+    for(i = 0; i < 3; ++i)
+    {
+        tc = Icosphere.computeTexCoord(positions[ids[i]*3], positions[ids[i]*3+1], positions[ids[i]*3+2]);
+        st.push(tc[0], tc[1]);
+        isPole[i] = Math.abs(positions[ids[i]*3+2]) > POLE_Z;
+        if(!isPole[i])
+        {
+            minS = Math.min(minS, tc[0]);
+            maxS = Math.max(maxS, tc[0]);
+        }
+    }
+
+    // seam: wrap the small s values to the other side
+    if(maxS - minS > 0.5)
+    {
+        for(i = 0; i < 3; ++i)
+        {
+            if(!isPole[i] && st[i*2] < 0.5)
+                st[i*2] += 1;
+        }
+    }
+
+    // pole: a triangle has at most 1 pole vertex
+    for(i = 0; i < 3; ++i)
+    {
+        if(isPole[i])
+        {
+            sum = st[((i+1)%3)*2] + st[((i+2)%3)*2];
+            st[i*2] = sum * 0.5;
+        }
+    }
+    return st;
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// build a subdivided icosahedron with radius 1 and tex coords of its corners
+// It returns {positions, indices, texCoords}, where texCoords has (s,t) of
+// each index. A triangle crossing the seam is split on it, into a west part
+// with s up to 1 and an east part with s from 0, so all s are in [0,1]. The
+// point on the seam is added to positions once per edge, on the unit sphere,
+// so the 2 triangles of the edge are split at the same point.
+///////////////////////////////////////////////////////////////////////////////
+Icosphere.buildTexturedMesh = function(subdivision)
+{
+    const POLE_Z = 1 - 0.000001;
+    let mesh = Icosphere.buildUnitMesh(subdivision);
+    let positions = mesh.positions;
+    let triangles = mesh.indices;
+    let indices = [];
+    let texCoords = [];
+    let seamPoints = {};    // key: "<a>_<b>" of the edge crossing the seam
+    let i, j, st, corners, a, b, m, west, east;
+
+    // add the point where the edge a-b crosses the seam (y = 0, x > 0)
+    function getSeamPoint(a, b)
+    {
+        let key = (a < b) ? (a + "_" + b) : (b + "_" + a);
+        let index = seamPoints[key];
+        if(index === undefined)
+        {
+            let f = positions[a*3+1] / (positions[a*3+1] - positions[b*3+1]);
+            let x = positions[a*3]   + (positions[b*3]   - positions[a*3])   * f;
+            let z = positions[a*3+2] + (positions[b*3+2] - positions[a*3+2]) * f;
+            let scale = 1 / Math.sqrt(x * x + z * z);
+            index = positions.length / 3;
+            positions.push(x * scale, 0, z * scale);
+            seamPoints[key] = index;
+        }
+        return index;
+    }
+
+    for(i = 0; i < triangles.length; i += 3)
+    {
+        st = Icosphere.computeTriangleTexCoords(positions, triangles[i], triangles[i+1], triangles[i+2]);
+        if(Math.max(st[0], st[2], st[4]) <= 1)
+        {
+            indices.push(triangles[i], triangles[i+1], triangles[i+2]);
+            texCoords.push(...st);
+            continue;
+        }
+
+        // side of the seam: -1 west (s < 1), 0 on it or pole, +1 east (s > 1)
+        corners = [];
+        for(j = 0; j < 3; ++j)
+        {
+            corners.push({index: triangles[i+j],
+                          s: st[j*2],
+                          t: st[j*2+1],
+                          pole: Math.abs(positions[triangles[i+j]*3+2]) > POLE_Z,
+                          side: Math.sign(st[j*2] - 1)});
+            if(corners[j].pole)
+                corners[j].side = 0;
+        }
+
+        // clip the triangle by the seam, the corners keep counter-clockwise
+        west = [];
+        east = [];
+        for(j = 0; j < 3; ++j)
+        {
+            a = corners[j];
+            b = corners[(j+1) % 3];
+            if(a.side <= 0)
+                west.push({index:a.index, s:(a.side < 0 ? a.s : 1), t:a.t, pole:a.pole});
+            if(a.side >= 0)
+                east.push({index:a.index, s:(a.side > 0 ? a.s - 1 : 0), t:a.t, pole:a.pole});
+            if(a.side * b.side < 0)
+            {
+                m = getSeamPoint(a.index, b.index);
+                st = Icosphere.computeTexCoord(positions[m*3], positions[m*3+1], positions[m*3+2]);
+                west.push({index:m, s:1, t:st[1], pole:false});
+                east.push({index:m, s:0, t:st[1], pole:false});
+            }
+        }
+        Icosphere.addPolygon(west, indices, texCoords);
+        Icosphere.addPolygon(east, indices, texCoords);
+    }
+    return {positions: positions, indices: indices, texCoords: texCoords};
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// add a convex polygon of corners {index, s, t, pole} as a triangle fan
+// A pole corner takes the s in the middle of the other 2 of each triangle.
+///////////////////////////////////////////////////////////////////////////////
+Icosphere.addPolygon = function(corners, indices, texCoords)
+{
+    let i, j, triangle, c, s;
+    for(i = 1; i + 1 < corners.length; ++i)
+    {
+        triangle = [corners[0], corners[i], corners[i+1]];
+        for(j = 0; j < 3; ++j)
+        {
+            c = triangle[j];
+            s = c.pole ? (triangle[(j+1)%3].s + triangle[(j+2)%3].s) * 0.5 : c.s;
+            indices.push(c.index);
+            texCoords.push(s, c.t);
+        }
+    }
+};
@@ -0,0 +1,11 @@
+///////////////////////////////////////////////////////////////////////////////
+// Logger.js
+// =========
+// log function shared by the modules of this folder.
+// It writes to the console, so it works in the browser and in Node.js.
+///////////////////////////////////////////////////////////////////////////////
+
+export function log(text)
+{
+    console.log(text);
+}
@@ -0,0 +1,362 @@
+///////////////////////////////////////////////////////////////////////////////
+// MeshExporter.js
+// ===============
+// Serialize a built Sphere, Icosphere or Cubesphere to mesh file formats, so
+// the exact tessellated globe can be opened in Blender or 3D printing tools.
+//  toObj():  Wavefront OBJ text (v/vt/vn/f), toMtl() for its material
+//  toStl():  binary STL (ArrayBuffer), triangles with face normals
+//  toGltf(): glTF 2.0 JSON text, the buffer is embedded as a data URI
+//  toGlb():  binary glTF 2.0 (ArrayBuffer)
+//
+// The vertices are written as they are in the mesh, one per vertex of the
+// mesh, so the counts of the file are the same as mesh.toString() reports.
+// If the mesh was split into draw ranges (16-bit indices for a large sphere),
+// the indices are converted back to absolute 32-bit indices.
+//
+// OBJ and STL keep the Z-up axis of the mesh. glTF is Y-up, so the mesh node
+// is rotated -90 degree about X (same as the demo) without changing the data.
+// The texture is only referenced by its URI in OBJ/MTL and glTF; the image
+// file must be copied next to the exported file.
+//
+// Example
+// =======
+//  let exporter = new MeshExporter(sphere);
+//  let glb = exporter.toGlb({name:"globe", texture:"world2.webp"});
+//  MeshExporter.download(glb, "globe.glb");
+///////////////////////////////////////////////////////////////////////////////
+
+export let MeshExporter = function(mesh)
+{
+    this.mesh = mesh;
+};
+
+MeshExporter.GLB_MAGIC = 0x46546C67;       // "glTF"
+MeshExporter.GLB_CHUNK_JSON = 0x4E4F534A;  // "JSON"
+MeshExporter.GLB_CHUNK_BIN = 0x004E4942;   // "BIN\0"
+
+MeshExporter.prototype =
+{
+    ///////////////////////////////////////////////////////////////////////////
+    // return indices as absolute vertex indices
+    // each draw range has its own base vertex (vertexOffset in bytes)
+    ///////////////////////////////////////////////////////////////////////////
+    getIndices: function()
+    {
+        let mesh = this.mesh;
+        let ranges = mesh.drawRanges || [];
+        if(ranges.every(range => range.vertexOffset == 0))
+            return mesh.indices;
+
+        let indices = new Uint32Array(mesh.indices.length);
+        for(let range of ranges)
+        {
+            let base = range.vertexOffset / mesh.stride;
+            let first = range.indexOffset / mesh.indices.BYTES_PER_ELEMENT;
+            for(let i = first; i < first + range.indexCount; ++i)
+                indices[i] = mesh.indices[i] + base;
+        }
+        return indices;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // Wavefront OBJ, indices are 1-based and shared by v/vt/vn
+    // OBJ has the origin of texture at bottom-left, so t is flipped.
+    // options: {name, texture}; mtllib is written only with a texture
+    ///////////////////////////////////////////////////////////////////////////
+    toObj: function(options={})
+    {
+        let mesh = this.mesh;
+        let name = options.name || "sphere";
+        let lines = ["# " + mesh.getVertexCount() + " vertices, " + mesh.getTriangleCount() + " triangles"];
+        if(options.texture)
+            lines.push("mtllib " + name + ".mtl");
+        lines.push("o " + name);
+
+        let i, a, b, c;
+        let v = mesh.vertices, n = mesh.normals, t = mesh.texCoords;
+        for(i = 0; i < v.length; i += 3)
+            lines.push("v " + v[i] + " " + v[i+1] + " " + v[i+2]);
+        for(i = 0; i < t.length; i += 2)
+            lines.push("vt " + t[i] + " " + (1 - t[i+1]));
+        for(i = 0; i < n.length; i += 3)
+            lines.push("vn " + n[i] + " " + n[i+1] + " " + n[i+2]);
+
+        if(options.texture)
+            lines.push("usemtl " + name);
+        lines.push("s " + (mesh.smooth ? 1 : "off"));
+        let indices = this.getIndices();
+        for(i = 0; i < indices.length; i += 3)
+        {
+            a = indices[i] + 1;
+            b = indices[i+1] + 1;
+            c = indices[i+2] + 1;
+            lines.push("f " + a + "/" + a + "/" + a + " " + b + "/" + b + "/" + b + " " + c + "/" + c + "/" + c);
+        }
+        return lines.join("\n") + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // material library for toObj() with a texture
+    ///////////////////////////////////////////////////////////////////////////
+    toMtl: function(options={})
+    {
+        let name = options.name || "sphere";
+        let lines = ["newmtl " + name,
+                     "Ka 1 1 1",
+                     "Kd 1 1 1",
+                     "Ks 0 0 0",
+                     "d 1",
+                     "illum 1"];
+        if(options.texture)
+            lines.push("map_Kd " + options.texture);
+        return lines.join("\n") + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+    // (face normal, 3 vertices and 16-bit attribute)
+    ///////////////////////////////////////////////////////////////////////////
+    toStl: function(options={})
+    {
+        let mesh = this.mesh;
+        let v = mesh.vertices;
+        let indices = this.getIndices();
+        let count = indices.length / 3;
+        let buffer = new ArrayBuffer(84 + count * 50);
+        let view = new DataView(buffer);
+
+        let header = "binary STL: " + (options.name || "sphere");
+        for(let i = 0; i < 80 && i < header.length; ++i)
+            view.setUint8(i, header.charCodeAt(i) & 0x7f);
+        view.setUint32(80, count, true);
+
+        let offset = 84;
+        let i, k, i1, i2, i3, n;
+        for(i = 0; i < indices.length; i += 3)
+        {
+            i1 = indices[i] * 3;
+            i2 = indices[i+1] * 3;
+            i3 = indices[i+2] * 3;
+            n = MeshExporter.computeFaceNormal(v, i1, i2, i3);
+            for(k = 0; k < 3; ++k)
+                view.setFloat32(offset + k * 4, n[k], true);
+            for(k = 0; k < 3; ++k)
+            {
+                view.setFloat32(offset + 12 + k * 4, v[i1 + k], true);
+                view.setFloat32(offset + 24 + k * 4, v[i2 + k], true);
+                view.setFloat32(offset + 36 + k * 4, v[i3 + k], true);
+            }
+            view.setUint16(offset + 48, 0, true);
+            offset += 50;
+        }
+        return buffer;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // glTF 2.0 JSON text with the buffer embedded as base64 data URI
+    // options: {name, texture}
+    ///////////////////////////////////////////////////////////////////////////
+    toGltf: function(options={})
+    {
+        let asset = this.buildGltf(options);
+        asset.json.buffers[0].uri = "data:application/octet-stream;base64," + MeshExporter.encodeBase64(asset.bin);
+        return JSON.stringify(asset.json);
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // binary glTF: 12-byte header, JSON chunk and BIN chunk, 4-byte aligned
+    ///////////////////////////////////////////////////////////////////////////
+    toGlb: function(options={})
+    {
+        let asset = this.buildGltf(options);
+        let json = new TextEncoder().encode(JSON.stringify(asset.json));
+        let jsonLength = MeshExporter.align4(json.length);
+        let binLength = asset.bin.byteLength;   // already aligned
+        let total = 12 + 8 + jsonLength + 8 + binLength;
+
+        let buffer = new ArrayBuffer(total);
+        let view = new DataView(buffer);
+        let bytes = new Uint8Array(buffer);
+        view.setUint32(0, MeshExporter.GLB_MAGIC, true);
+        view.setUint32(4, 2, true);
+        view.setUint32(8, total, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, MeshExporter.GLB_CHUNK_JSON, true);
+        bytes.set(json, 20);
+        bytes.fill(0x20, 20 + json.length, 20 + jsonLength);   // pad with spaces
+
+        let offset = 20 + jsonLength;
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, MeshExporter.GLB_CHUNK_BIN, true);
+        bytes.set(new Uint8Array(asset.bin), offset + 8);
+        return buffer;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // build glTF JSON and binary buffer, shared by toGltf() and toGlb()
+    // Each attribute has its own buffer view (not interleaved), and the
+    // buffer has no uri yet. It returns {json, bin}.
+    ///////////////////////////////////////////////////////////////////////////
+    buildGltf: function(options={})
+    {
+        let mesh = this.mesh;
+        let name = options.name || "sphere";
+        let vertexCount = mesh.getVertexCount();
+        let indices = this.getIndices();
+        // glTF does not allow 65535 in 16-bit indices (primitive restart)
+        let indexArray = (vertexCount >= 65535) ? new Uint32Array(indices) : new Uint16Array(indices);
+
+        // glTF attribute name, data and accessor type
+        let arrays = [{name:"POSITION",   data:new Float32Array(mesh.vertices),  type:"VEC3"},
+                      {name:"NORMAL",     data:new Float32Array(mesh.normals),   type:"VEC3"},
+                      {name:"TEXCOORD_0", data:new Float32Array(mesh.texCoords), type:"VEC2"}];
+        if(mesh.hasTangents && mesh.hasTangents())
+            arrays.push({name:"TANGENT", data:new Float32Array(mesh.tangents), type:"VEC4"});
+
+        let json =
+        {
+            asset: {version:"2.0", generator:"MeshExporter.js"},
+            scene: 0,
+            scenes: [{nodes:[0]}],
+            nodes: [{name:name, mesh:0, rotation:[-Math.SQRT1_2, 0, 0, Math.SQRT1_2]}],  // Z-up to Y-up
+            meshes: [{name:name, primitives:[{attributes:{}, indices:0, mode:4}]}],
+            accessors: [],
+            bufferViews: [],
+            buffers: [{byteLength:0}]
+        };
+
+        // indices first, then attributes; every view starts at 4-byte boundary
+        let byteLength = 0;
+        let views = [];
+        let addView = function(data, target)
+        {
+            json.bufferViews.push({buffer:0, byteOffset:byteLength, byteLength:data.byteLength, target:target});
+            views.push({data:data, offset:byteLength});
+            byteLength += MeshExporter.align4(data.byteLength);
+            return json.bufferViews.length - 1;
+        };
+
+        json.accessors.push({bufferView: addView(indexArray, 34963),    // ELEMENT_ARRAY_BUFFER
+                             componentType: (indexArray instanceof Uint32Array) ? 5125 : 5123,
+                             count: indexArray.length,
+                             type: "SCALAR"});
+        let primitive = json.meshes[0].primitives[0];
+        for(let array of arrays)
+        {
+            let accessor = {bufferView: addView(array.data, 34962),     // ARRAY_BUFFER
+                            componentType: 5126,                        // FLOAT
+                            count: vertexCount,
+                            type: array.type};
+            if(array.name == "POSITION")
+            {
+                let bounds = MeshExporter.computeBounds(array.data);
+                accessor.min = bounds.min;
+                accessor.max = bounds.max;
+            }
+            json.accessors.push(accessor);
+            primitive.attributes[array.name] = json.accessors.length - 1;
+        }
+
+        // material with texture reference
+        if(options.texture)
+        {
+            json.images = [{uri: options.texture}];
+            json.samplers = [{magFilter:9729, minFilter:9987, wrapS:10497, wrapT:33071}];
+            json.textures = [{source:0, sampler:0}];
+            json.materials = [{name:name,
+                               pbrMetallicRoughness:{baseColorTexture:{index:0},
+                                                     metallicFactor:0,
+                                                     roughnessFactor:1}}];
+            primitive.material = 0;
+        }
+
+        let bin = new ArrayBuffer(byteLength);
+        for(let view of views)
+            new Uint8Array(bin, view.offset, view.data.byteLength).set(new Uint8Array(view.data.buffer, view.data.byteOffset, view.data.byteLength));
+        json.buffers[0].byteLength = byteLength;
+        return {json:json, bin:bin};
+    }
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// save exported data as a file (browser only)
+// data is a string (OBJ, MTL, glTF) or an ArrayBuffer (STL, GLB)
+///////////////////////////////////////////////////////////////////////////////
+MeshExporter.download = function(data, filename)
+{
+    let blob = new Blob([data], {type: (typeof data == "string") ? "text/plain" : "application/octet-stream"});
+    let url = URL.createObjectURL(blob);
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// face normal of the triangle at positions i1, i2, i3 of vertex array
+///////////////////////////////////////////////////////////////////////////////
+MeshExporter.computeFaceNormal = function(v, i1, i2, i3)
+{
+    let ex1 = v[i2]   - v[i1],   ex2 = v[i3]   - v[i1];
+    let ey1 = v[i2+1] - v[i1+1], ey2 = v[i3+1] - v[i1+1];
+    let ez1 = v[i2+2] - v[i1+2], ez2 = v[i3+2] - v[i1+2];
+    let nx = ey1 * ez2 - ez1 * ey2;
+    let ny = ez1 * ex2 - ex1 * ez2;
+    let nz = ex1 * ey2 - ey1 * ex2;
+    let length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if(length > 0.000001)
+        return [nx / length, ny / length, nz / length];
+    return [0, 0, 0];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// min/max of xyz array, required by glTF for POSITION accessor
+///////////////////////////////////////////////////////////////////////////////
+MeshExporter.computeBounds = function(v)
+{
+    let min = [Infinity, Infinity, Infinity];
+    let max = [-Infinity, -Infinity, -Infinity];
+    for(let i = 0; i < v.length; i += 3)
+    {
+        for(let k = 0; k < 3; ++k)
+        {
+            min[k] = Math.min(min[k], v[i + k]);
+            max[k] = Math.max(max[k], v[i + k]);
+        }
+    }
+    return {min:min, max:max};
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// round up to multiple of 4 bytes
+///////////////////////////////////////////////////////////////////////////////
+MeshExporter.align4 = function(n)
+{
+    return Math.ceil(n / 4) * 4;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// base64 of ArrayBuffer, in chunks to avoid too many arguments of fromCharCode
+///////////////////////////////////////////////////////////////////////////////
+MeshExporter.encodeBase64 = function(buffer)
+{
+    let bytes = new Uint8Array(buffer);
+    let text = "";
+    for(let i = 0; i < bytes.length; i += 0x8000)
+        text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(text);
+}
@@ -5,6 +5,78 @@
 // stackCount=18, smooth=true.
 // The minimum # of sectors is 3 and stacks is 2.
 //
+// Ellipsoid
+// =========
+// If polarRadius is different from radius (equatorial), it builds an ellipsoid
+// of revolution around Z axis. The stacks are spaced by geodetic latitude, the
+// normals are the ellipsoid surface normals, and t of the tex coords follows
+// the geodetic latitude, so an equirectangular map lines up with real
+// geodetic coordinates. Sphere.WGS84 has the radii of the WGS84 ellipsoid in
+// meters; scale both to the units of the scene, for example:
+//  let f = Sphere.WGS84.polarRadius / Sphere.WGS84.radius;
+//  let earth = new Sphere(gl, 1, 36, 18, true, f);   // equatorial radius = 1
+//
+// Patch
+// =====
+// setBounds() limits the sphere to a latitude/longitude region in degrees, for
+// map tiles, polar caps or cut-away views. The sectors and stacks divide the
+// region instead of the whole sphere. The tex coords are either global
+// (equirectangular of the whole sphere, so a world map still lines up) or
+// local (0 to 1 across the patch, for a tile image):
+//  let tile = new Sphere(gl, 1, 16, 16).setBounds(0, 45, 90, 135, true);
+//  let capN = new Sphere(gl, 1, 72, 8).setBounds(60, 90, 0, 360);
+//
+// Tex coords
+// ==========
+// The texCoordOptions param or setTexCoordOptions() selects the UV layout of
+// the global tex coords, so a map can be used without editing its pixels:
+//  mode:            Sphere.TexCoordMode.EQUIRECTANGULAR (default) or MERCATOR
+//  mercatorCutoff:  latitude (degree) at the top and bottom of a Mercator map,
+//                   85.05112878 for Web Mercator tiles
+//  lonOffset:       degree added to the longitude before s is computed. The
+//                   default texture has the prime meridian at its center; use
+//                   180 for a map with the prime meridian at its left edge.
+//  flipS:           s goes from right to left (mirrored map)
+//  polarCorrection: the vertex at a pole takes s at the middle of its sector,
+//                   instead of the left edge, so the pole triangles are not
+//                   sheared across the texture
+// A full sphere starts at the texture seam, so s is always 0 to 1:
+//  let sphere = new Sphere(gl, 1, 72, 36, true, 1, Sphere.DEFAULT_LAYOUT,
+//                          {mode:Sphere.TexCoordMode.MERCATOR, lonOffset:180});
+// Local tex coords of a patch are not changed, except polarCorrection.
+//
+// Heightmap
+// =========
+// setHeightmap() displaces the vertices along the surface normal by an
+// elevation grid, {width, height, data:Float32Array}, in equirectangular
+// layout same as the texture (row 0 is the north pole, column 0 is the left
+// edge at sector angle 0, longitude -180), or by a grayscale image whose
+// pixels are heights from 0 to 1. The heights are sampled bilinearly and
+// multiplied by the exaggeration factor. The normals are then computed from
+// the displaced surface, for both smooth and flat builds:
+//  let image = new Image();
+//  image.onload = () => sphere.setHeightmap(Sphere.createHeightmap(image, -0.0017, 0.0014), 20);
+//
+// Headless mode
+// =============
+// The GL context is optional. Without it (e.g. in Node.js), the sphere only
+// generates the vertex arrays, and upload(gl) copies them to VBOs later.
+// Without a context, 32-bit indices are kept for large meshes:
+//  import { Sphere } from "./Sphere.js";
+//  let sphere = new Sphere(null, 1, 36, 18);     // no WebGL needed
+//  sphere.getVertexCount();                      // 703
+//  sphere.upload(gl);                            // later, in the browser
+// dispose() deletes the VBOs and keeps the arrays, so upload(gl) can copy
+// them again after the context is lost and restored.
+//
+// Async build
+// ===========
+// setAsync() is same as set(), but the arrays are built in a Web Worker
+// (SphereWorker.js) and sent back as transferable buffers. The old mesh is
+// drawn until the new one is copied to the VBOs:
+//  sphere.setAsync(1, 360, 180, true).then(sphere => log(sphere.toString()));
+// Without Web Worker (e.g. in Node.js), it builds synchronously instead.
+//
 // Example of OpenGL drawing calls (interleaved mode)
 // ===============================
 //  gl.bindBuffer(gl.ARRAY_BUFFER, sphere.vboVertex);
@@ -12,43 +84,118 @@
 //  gl.vertexAttribPointer(gl.program.attribute.vertexNormal, 3, gl.FLOAT, false, 32, 12);
 //  gl.vertexAttribPointer(gl.program.attribute.vertexTexCoord, 2, gl.FLOAT, false, 32, 24);
 //  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, sphere.vboIndex);
-//  gl.drawElements(gl.TRIANGLES, sphere.getIndexCount(), gl.UNSIGNED_SHORT, 0);
+//  gl.drawElements(gl.TRIANGLES, sphere.getIndexCount(), sphere.indexType, 0);
+//
+// The interleaved layout is configurable with the layout param or setLayout().
+// The default is Sphere.DEFAULT_LAYOUT (vertex, normal, texCoord), 32 bytes.
+// Add "tangent" to generate tangents for normal mapping, then read the stride
+// and byte offsets from the sphere instead of 32, 0/12/24:
+//  sphere.setLayout(["vertex", "normal", "texCoord", "tangent"]);
+//  gl.vertexAttribPointer(..vertexTangent, 4, gl.FLOAT, false, sphere.stride, sphere.offsets.tangent);
+// The tangent is (x,y,z,w); it points to +s direction, and w is the handedness,
+// so bitangent = cross(normal, tangent.xyz) * tangent.w points to +t direction.
+//
+// Add "flatVertex" for the position on a flat equirectangular map, to morph
+// the globe into the map in the vertex shader, e.g. mix(vertex, flatVertex, t).
+// The map is in XZ plane facing -Y, 2*pi*r wide and pi*r high, and centered
+// at longitude 180; x = r * (lon - pi), z = r * lat. Its normal is (0,-1,0).
+//
+// A sphere with more than 65536 vertices needs 32-bit indices. If the context
+// has no 32-bit index support, the mesh is split into chunks instead, and each
+// chunk is drawn with the vertex attribute offsets moved to its first vertex.
+// A chunk has whole stacks, so the sector count is then limited to 32767
+// (smooth) or 16384 (flat), where 1 stack has 65536 vertices.
+// sphere.drawRanges lists the chunks (1 range if not split):
+//  for(let range of sphere.drawRanges)
+//  {
+//      gl.vertexAttribPointer(..vertexPosition, 3, gl.FLOAT, false, 32, range.vertexOffset);
+//      gl.vertexAttribPointer(..vertexNormal, 3, gl.FLOAT, false, 32, range.vertexOffset + 12);
+//      gl.vertexAttribPointer(..vertexTexCoord, 2, gl.FLOAT, false, 32, range.vertexOffset + 24);
+//      (with a custom layout, use sphere.stride and range.vertexOffset + sphere.offsets.*)
+//      gl.drawElements(gl.TRIANGLES, range.indexCount, sphere.indexType, range.indexOffset);
+//  }
 //
 //  AUTHOR: Song Ho Ahn (song.ahn@gmail.com)
 // CREATED: 2020-03-12
 // UPDATED: 2021-10-07
 ///////////////////////////////////////////////////////////////////////////////
 
-let Sphere = function(gl, radius=1, sectors=36, stacks=18, smooth=true)
+import { log } from "./Logger.js";
+
+export let Sphere = function(gl=null, radius=1, sectors=36, stacks=18, smooth=true, polarRadius=radius, layout=Sphere.DEFAULT_LAYOUT, texCoordOptions={})
 {
     this.gl = gl;
-    if(!gl)
-        log("[WARNING] Sphere.contructor requires GL context as a param.");
 
     this.radius = 1;
+    this.polarRadius = 1;
     this.sectorCount = 36;
     this.stackCount = 18;
     this.smooth = true;
     this.vertices = [];
     this.normals = [];
     this.texCoords = [];
+    this.tangents = [];
+    this.flatVertices = [];
     this.indices = [];
     this.interleavedVertices = [];
-    this.stride = 32;   // stride for interleaved vertices, always=32
+    this.bounds = { minLat:-90, maxLat:90, minLon:0, maxLon:360 }; // degree
+    this.localTexCoords = false;    // tex coords of patch: [0,1] or global
+    this.texCoordOptions = Object.assign({}, Sphere.DEFAULT_TEX_COORD_OPTIONS, texCoordOptions);
+    this.heightmap = null;          // {width, height, data}
+    this.exaggeration = 1;
+    this.layout = layout.slice();   // attribute names in interleaved order
+    this.stride = 32;               // stride for interleaved vertices in bytes
+    this.offsets = {};              // byte offset of each attribute in layout
     if(gl)
     {
         this.vboVertex = gl.createBuffer();
         this.vboIndex = gl.createBuffer();
     }
+    this.uintIndexSupported = gl ? Sphere.isUintIndexSupported(gl) : true;   // headless keeps 32-bit
+    this.indexType = Sphere.UNSIGNED_SHORT;
+    this.drawRanges = [];   // {vertexOffset, indexOffset, indexCount}, offsets in bytes
+    this.generation = 0;    // # of builds, a setAsync() result of an older one is dropped
     // init
-    this.set(radius, sectors, stacks, smooth);
+    this.set(radius, sectors, stacks, smooth, polarRadius);
 };
 
+// index types, same as gl.UNSIGNED_SHORT and gl.UNSIGNED_INT
+Sphere.UNSIGNED_SHORT = 0x1403;
+Sphere.UNSIGNED_INT = 0x1405;
+
+// interleaved attributes and their # of floats
+Sphere.ATTRIBUTE_SIZES = { vertex:3, normal:3, texCoord:2, tangent:4, flatVertex:3 };
+Sphere.DEFAULT_LAYOUT = ["vertex", "normal", "texCoord"];
+
+// UV layouts of global tex coords, see setTexCoordOptions()
+Sphere.TexCoordMode = { EQUIRECTANGULAR:0, MERCATOR:1 };
+Sphere.DEFAULT_TEX_COORD_OPTIONS = { mode:Sphere.TexCoordMode.EQUIRECTANGULAR,
+                                     mercatorCutoff:85.05112878,
+                                     lonOffset:0,
+                                     flipS:false,
+                                     polarCorrection:false };
+
+// WGS84 reference ellipsoid in meters
+Sphere.WGS84 = { radius: 6378137.0, polarRadius: 6356752.314245 };
+
+// shared Web Worker for setAsync(), and its pending requests by build id
+Sphere.worker = null;
+Sphere.workerFailed = false;
+Sphere.workerRequests = {};
+Sphere.buildCount = 0;
+
 Sphere.prototype =
 {
-    set: function(r, se, st, sm)
+    // texCoordOptions is optional, and only the given options are changed
+    set: function(r, se, st, sm, pr, texCoordOptions)
     {
+        ++this.generation;      // newer than any pending setAsync()
+        if(texCoordOptions)
+            this.texCoordOptions = Object.assign({}, this.texCoordOptions, texCoordOptions);
         this.radius = r;
+        this.polarRadius = r;
+        if(pr !== undefined)
+            this.polarRadius = pr;
         this.sectorCount = se;
         if(se < 3)
             this.sectorCount = 3;
@@ -56,42 +203,120 @@ Sphere.prototype =
         if(st < 2)
             this.stackCount = 2;
         this.smooth = sm;
+        if(this.sectorCount > this.getMaxSectorCount(sm))
+        {
+            log("[WARNING] Sphere needs 32-bit indices for " + this.sectorCount + " sectors, reduced to " +
+                this.getMaxSectorCount(sm) + ".");
+            this.sectorCount = this.getMaxSectorCount(sm);
+        }
         if(sm)
             this.buildVerticesSmooth();
         else
             this.buildVerticesFlat();
         return this;
     },
-    setRadius: function(r)
+    // if pr is omitted, the ratio of polar to equatorial radius is kept
+    setRadius: function(r, pr)
     {
-        if(this.radius != r)
-            this.set(r, this.sectorCount, this.stackCount, this.smooth);
+        if(pr === undefined)
+            pr = r * this.polarRadius / this.radius;
+        if(this.radius != r || this.polarRadius != pr)
+            this.set(r, this.sectorCount, this.stackCount, this.smooth, pr);
         return this;
     },
     setSectorCount: function(s)
     {
         if(this.sectorCount != s)
-            this.set(this.radius, s, this.stackCount, this.smooth);
+            this.set(this.radius, s, this.stackCount, this.smooth, this.polarRadius);
         return this;
     },
     setStackCount: function(s)
     {
         if(this.stackCount != s)
-            this.set(this.radius, this.sectorCount, s, this.smooth);
+            this.set(this.radius, this.sectorCount, s, this.smooth, this.polarRadius);
         return this;
     },
     setSmooth: function(s)
     {
         if(this.smooth != s)
+            this.set(this.radius, this.sectorCount, this.stackCount, s, this.polarRadius);
+        return this;
+    },
+    // the largest sector count of which 1 stack fits in a chunk of 65536
+    // vertices without 32-bit indices, see buildDrawRanges()
+    getMaxSectorCount: function(smooth)
+    {
+        if(this.uintIndexSupported)
+            return Infinity;
+        return smooth ? 32767 : 16384;  // (sectors+1) * 2 or sectors * 4 vertices
+    },
+    // limit to a lat/lon region in degree, -90 <= lat <= 90, lon span <= 360
+    setBounds: function(minLat, maxLat, minLon, maxLon, localTexCoords=false)
+    {
+        minLat = Math.max(-90, Math.min(90, minLat));
+        maxLat = Math.max(-90, Math.min(90, maxLat));
+        if(minLat >= maxLat || minLon >= maxLon || (maxLon - minLon) > 360)
         {
-            this.smooth = s;
-            if(this.smooth)
-                this.buildVerticesSmooth();
-            else
-                this.buildVerticesFlat();
+            log("[WARNING] Sphere.setBounds has invalid range.");
+            return this;
         }
+        this.bounds = { minLat:minLat, maxLat:maxLat, minLon:minLon, maxLon:maxLon };
+        this.localTexCoords = localTexCoords;
+        this.set(this.radius, this.sectorCount, this.stackCount, this.smooth, this.polarRadius);
         return this;
     },
+    // e.g. {mode:Sphere.TexCoordMode.MERCATOR}, the others are kept
+    setTexCoordOptions: function(options)
+    {
+        this.set(this.radius, this.sectorCount, this.stackCount, this.smooth, this.polarRadius, options);
+        return this;
+    },
+    // the stack touching a pole has 1 triangle per sector, others have 2
+    isPoleStack: function(i)
+    {
+        return (i == 0 && this.bounds.maxLat >= 90) ||
+               (i == (this.stackCount-1) && this.bounds.minLat <= -90);
+    },
+    // heightmap: {width, height, data} or a grayscale image, null to remove
+    setHeightmap: function(heightmap, exaggeration=1)
+    {
+        if(heightmap && !heightmap.data)
+            heightmap = Sphere.createHeightmap(heightmap);
+        this.heightmap = heightmap;
+        this.exaggeration = exaggeration;
+        this.set(this.radius, this.sectorCount, this.stackCount, this.smooth, this.polarRadius);
+        return this;
+    },
+    // elevation at geodetic latitude and sector angle (radian), exaggerated
+    getHeight: function(lat, lon)
+    {
+        if(!this.heightmap)
+            return 0;
+        return Sphere.sampleHeightmap(this.heightmap, lat, lon) * this.exaggeration;
+    },
+    setLayout: function(layout)
+    {
+        let i;
+        for(i = 0; i < layout.length; ++i)
+        {
+            if(Sphere.ATTRIBUTE_SIZES[layout[i]] === undefined)
+            {
+                log("[WARNING] Sphere.setLayout has unknown attribute: " + layout[i]);
+                return this;
+            }
+        }
+        this.layout = layout.slice();
+        this.set(this.radius, this.sectorCount, this.stackCount, this.smooth, this.polarRadius);
+        return this;
+    },
+    hasTangents: function()
+    {
+        return this.layout.indexOf("tangent") >= 0;
+    },
+    hasFlatVertices: function()
+    {
+        return this.layout.indexOf("flatVertex") >= 0;
+    },
     getTriangleCount: function()
     {
         return this.getIndexCount() / 3;
@@ -116,43 +341,68 @@ Sphere.prototype =
     {
         return "===== Sphere =====\n" +
                "        Radius: " + this.radius + "\n" +
+               "  Polar Radius: " + this.polarRadius + "\n" +
                "  Sector Count: " + this.sectorCount + "\n" +
                "   Stack Count: " + this.stackCount + "\n" +
                " Smooth Shader: " + this.smooth + "\n" +
+               "        Bounds: lat(" + this.bounds.minLat + ", " + this.bounds.maxLat + "), lon(" +
+                                 this.bounds.minLon + ", " + this.bounds.maxLon + ")\n" +
+               "    Tex Coords: " + (this.texCoordOptions.mode == Sphere.TexCoordMode.MERCATOR ? "mercator" : "equirectangular") +
+                                 ", lonOffset=" + this.texCoordOptions.lonOffset +
+                                 (this.texCoordOptions.flipS ? ", flipped" : "") +
+                                 (this.texCoordOptions.polarCorrection ? ", polar corrected" : "") + "\n" +
+               "     Heightmap: " + (this.heightmap ? this.heightmap.width + "x" + this.heightmap.height +
+                                     ", exaggeration=" + this.exaggeration : "none") + "\n" +
                "Triangle Count: " + this.getTriangleCount() + "\n" +
                "   Index Count: " + this.getIndexCount() + "\n" +
                "  Vertex Count: " + this.getVertexCount() + "\n" +
                "  Normal Count: " + this.getNormalCount() + "\n" +
-               "TexCoord Count: " + this.getTexCoordCount() + "\n";
+               "TexCoord Count: " + this.getTexCoordCount() + "\n" +
+               "        Layout: " + this.layout.join(", ") + "\n" +
+               "        Stride: " + this.stride + "\n";
     },
 
     clearArrays: function()
     {
-        this.vertices.length = 0;
-        this.normals.length = 0;
-        this.texCoords.length = 0;
-        this.indices.length = 0;
-        this.interleavedVertices.length = 0;
+        // typed arrays cannot be resized, so replace them
+        this.vertices = [];
+        this.normals = [];
+        this.texCoords = [];
+        this.tangents = [];
+        this.flatVertices = [];
+        this.indices = [];
+        this.interleavedVertices = [];
     },
     resizeArraysSmooth: function()
     {
         this.clearArrays();
         let count = (this.sectorCount + 1) * (this.stackCount + 1);
+        let indexCount = 0;
+        for(let i = 0; i < this.stackCount; ++i)
+            indexCount += (this.isPoleStack(i) ? 3 : 6) * this.sectorCount;
         this.vertices = new Float32Array(3 * count);
         this.normals = new Float32Array(3 * count);
         this.texCoords = new Float32Array(2 * count);
+        this.tangents = this.hasTangents() ? new Float32Array(4 * count) : [];
         //this.indices = new Uint16Array(6 * this.sectorCount + 6 * (this.stackCount - 2) * this.sectorCount);
-        this.indices = new Uint16Array(6 * this.sectorCount * (this.stackCount - 1));
+        this.indices = Sphere.createIndexArray(indexCount, count);
     },
     resizeArraysFlat: function()
     {
         this.clearArrays();
-        let count = 6 * this.sectorCount + 4 * this.sectorCount * (this.stackCount - 2);
+        let count = 0;
+        let indexCount = 0;
+        for(let i = 0; i < this.stackCount; ++i)
+        {
+            count += (this.isPoleStack(i) ? 3 : 4) * this.sectorCount;
+            indexCount += (this.isPoleStack(i) ? 3 : 6) * this.sectorCount;
+        }
         this.vertices = new Float32Array(3 * count);
         this.normals = new Float32Array(3 * count);
         this.texCoords = new Float32Array(2 * count);
+        this.tangents = this.hasTangents() ? new Float32Array(4 * count) : [];
         //this.indices = new Uint16Array(6 * this.sectorCount + 6 * (this.stackCount - 2) * this.sectorCount);
-        this.indices = new Uint16Array(6 * this.sectorCount * (this.stackCount - 1));
+        this.indices = Sphere.createIndexArray(indexCount, count);
     },
 
     ///////////////////////////////////////////////////////////////////////////
@@ -162,46 +412,62 @@ Sphere.prototype =
     // z = r * sin(u)
     // where u: stack(latitude) angle (-90 <= u <= 90)
     //       v: sector(longitude) angle (0 <= v <= 360)
+    // For an ellipsoid, u is the geodetic latitude, and r of x,y and z comes
+    // from Sphere.computeEllipsoidRadii(). The normal is always
+    // (cos(u) * cos(v), cos(u) * sin(v), sin(u)).
+    // With a heightmap, the vertex is moved by height h along the normal, and
+    // the normals are recomputed from the faces at the end.
     ///////////////////////////////////////////////////////////////////////////
     buildVerticesSmooth: function()
     {
         // resize typed arrays
         this.resizeArraysSmooth();
 
-        let x, y, z, xy, nx, ny, nz, s, t, i, j, k, k1, k2, ii, jj, kk;
-        let lengthInv = 1.0 / this.radius;
-        let sectorStep = 2 * Math.PI / this.sectorCount;
-        let stackStep = Math.PI / this.stackCount;
-        let sectorAngle, stackAngle;
+        let x, y, z, xy, nx, ny, nz, s, t, h, i, j, k, k1, k2, ii, jj, kk, ll, radii;
+        let hasTangents = this.hasTangents();
+        let minLon = this.getStartLon();
+        let maxLat = this.bounds.maxLat * Math.PI / 180;
+        let sectorStep = (this.bounds.maxLon - this.bounds.minLon) * Math.PI / 180 / this.sectorCount;
+        let stackStep = (this.bounds.maxLat - this.bounds.minLat) * Math.PI / 180 / this.stackCount;
+        let sectorAngle, stackAngle, st;
+        let flip = this.texCoordOptions.flipS ? -1 : 1;  // -1 if s goes west
 
-        ii = jj = kk = 0;
+        ii = jj = kk = ll = 0;
         for(i=0; i <= this.stackCount; ++i)
         {
-            stackAngle = Math.PI / 2 - i * stackStep;   // starting from pi/2 to -pi/2
-            xy = this.radius * Math.cos(stackAngle);    // r * cos(u)
-            z = this.radius * Math.sin(stackAngle);     // r * sin(u)
+            stackAngle = maxLat - i * stackStep;        // starting from pi/2 to -pi/2
+            radii = Sphere.computeEllipsoidRadii(this.radius, this.polarRadius, stackAngle);
+            xy = radii[0] * Math.cos(stackAngle);       // r * cos(u)
+            z = radii[1] * Math.sin(stackAngle);        // r * sin(u)
+            nz = Math.sin(stackAngle);
 
             // add (sectorCount+1) vertices per stack
             // the first and last vertices have same position and normal, but different tex coords
             for(j=0; j <= this.sectorCount; ++j)
             {
-                sectorAngle = j * sectorStep;           // starting from 0 to 2pi
+                sectorAngle = minLon + j * sectorStep;  // starting from 0 to 2pi (+ offset)
+
+                // normalized vertex normal (surface normal of ellipsoid)
+                nx = Math.cos(stackAngle) * Math.cos(sectorAngle);
+                ny = Math.cos(stackAngle) * Math.sin(sectorAngle);
+                this.addNormal(ii, nx, ny, nz);
 
-                // vertex position
+                // vertex position, displaced by height along the normal
+                h = this.getHeight(stackAngle, sectorAngle);
                 x = xy * Math.cos(sectorAngle);         // r * cos(u) * cos(v)
                 y = xy * Math.sin(sectorAngle);         // r * cos(u) * sin(v)
-                this.addVertex(ii, x, y, z);
-
-                // normalized vertex normal
-                nx = x * lengthInv;
-                ny = y * lengthInv;
-                nz = z * lengthInv;
-                this.addNormal(ii, nx, ny, nz);
+                this.addVertex(ii, x + nx * h, y + ny * h, z + nz * h);
 
                 // vertex tex coord between [0, 1]
-                s = j / this.sectorCount;
-                t = i / this.stackCount;
-                this.addTexCoord(jj, s, t);
+                st = this.computeTexCoord(i, j, stackAngle, sectorAngle);
+                this.addTexCoord(jj, st[0], st[1]);
+
+                // tangent along +s (east, or west with flipS), bitangent goes south (+t)
+                if(hasTangents)
+                {
+                    this.addTangent(ll, -flip * Math.sin(sectorAngle), flip * Math.cos(sectorAngle), 0, -flip);
+                    ll += 4;
+                }
 
                 // next
                 ii += 3;
@@ -209,6 +475,9 @@ Sphere.prototype =
             }
         }
 
+        if(this.texCoordOptions.polarCorrection)
+            this.correctPolarTexCoords();
+
         // indices
         //  k1--k1+1
         //  |  / |
@@ -221,14 +490,14 @@ Sphere.prototype =
 
             for(j=0; j < this.sectorCount; ++j, ++k1, ++k2)
             {
-                // 2 triangles per sector excluding 1st and last stacks
-                if(i != 0)
+                // 2 triangles per sector excluding 1st and last stacks at poles
+                if(i != 0 || !this.isPoleStack(i))
                 {
                     this.addIndices(kk, k1, k2, k1+1);  // k1---k2---k1+1
                     kk += 3;
                 }
 
-                if(i != (this.stackCount-1))
+                if(i != (this.stackCount-1) || !this.isPoleStack(i))
                 {
                     this.addIndices(kk, k1+1, k2, k2+1);// k1+1---k2---k2+1
                     kk += 3;
@@ -236,182 +505,429 @@ Sphere.prototype =
             }
         }
 
+        // normals of the displaced surface
+        if(this.heightmap)
+            this.computeSmoothNormals();
+
         // generate interleaved vertex array as well
         this.buildInterleavedVertices();
+        this.buildDrawRanges();
         this.buildVbos();
     },
 
+    ///////////////////////////////////////////////////////////////////////////
+    // recompute smooth normals from the faces, used after displacement
+    // Each vertex gets the area-weighted sum of the face normals around it.
+    // The first and last vertices of a full stack, and all vertices at a pole,
+    // are the same point, so they share the sum of their faces.
+    // The tangents are made perpendicular to the new normals.
+    ///////////////////////////////////////////////////////////////////////////
+    computeSmoothNormals: function()
+    {
+        let normals = new Float32Array(this.normals.length);
+        let v = this.vertices;
+        let rowSize = this.sectorCount + 1;
+        let fullStack = (this.bounds.maxLon - this.bounds.minLon) >= 360;
+        let i, j, k, k1, k2, k3, n, sx, sy, sz, d, length;
+
+        for(i = 0; i < this.indices.length; i += 3)
+        {
+            k1 = this.indices[i] * 3;
+            k2 = this.indices[i+1] * 3;
+            k3 = this.indices[i+2] * 3;
+            n = Sphere.computeFaceNormal(v[k1],v[k1+1],v[k1+2], v[k2],v[k2+1],v[k2+2], v[k3],v[k3+1],v[k3+2]);
+            d = Sphere.computeTriangleArea(v[k1],v[k1+1],v[k1+2], v[k2],v[k2+1],v[k2+2], v[k3],v[k3+1],v[k3+2]);
+            for(k of [k1, k2, k3])
+            {
+                normals[k]   += n[0] * d;
+                normals[k+1] += n[1] * d;
+                normals[k+2] += n[2] * d;
+            }
+        }
+
+        // share the sums of the same points
+        let shareNormal = function(list)
+        {
+            let sum = [0, 0, 0];
+            for(let k of list)
+            {
+                sum[0] += normals[k];
+                sum[1] += normals[k+1];
+                sum[2] += normals[k+2];
+            }
+            for(let k of list)
+                normals.set(sum, k);
+        };
+        for(i = 0; i <= this.stackCount; ++i)
+        {
+            let first = i * rowSize * 3;
+            let last = first + this.sectorCount * 3;
+            if((i == 0 && this.bounds.maxLat >= 90) || (i == this.stackCount && this.bounds.minLat <= -90))
+            {
+                let row = [];
+                for(k = first; k <= last; k += 3)
+                    row.push(k);
+                shareNormal(row);
+            }
+            else if(fullStack)
+            {
+                shareNormal([first, last]);
+            }
+        }
+
+        for(i = 0, j = 0; i < normals.length; i += 3, j += 4)
+        {
+            length = Math.sqrt(normals[i] * normals[i] + normals[i+1] * normals[i+1] + normals[i+2] * normals[i+2]);
+            if(length > 0.000001)
+                this.addNormal(i, normals[i] / length, normals[i+1] / length, normals[i+2] / length);
+
+            if(this.tangents.length > 0)
+            {
+                n = this.normals;
+                d = n[i] * this.tangents[j] + n[i+1] * this.tangents[j+1] + n[i+2] * this.tangents[j+2];
+                sx = this.tangents[j]   - n[i]   * d;
+                sy = this.tangents[j+1] - n[i+1] * d;
+                sz = this.tangents[j+2] - n[i+2] * d;
+                length = Math.sqrt(sx * sx + sy * sy + sz * sz);
+                if(length > 0.000001)
+                    this.addTangent(j, sx / length, sy / length, sz / length, this.tangents[j+3]);
+            }
+        }
+    },
+
     ///////////////////////////////////////////////////////////////////////////
     // generate vertices of sphere with flat shading
     ///////////////////////////////////////////////////////////////////////////
     buildVerticesFlat: function()
     {
-        let i, j, k, x, y, z, s, t, n, xy, v1, v2, v3, v4, vi1, vi2, index, ii, jj, kk;
-        let sectorStep = 2 * Math.PI / this.sectorCount;
-        let stackStep = Math.PI / this.stackCount;
-        let sectorAngle, stackAngle;
-        let tmpVertices = [];
-        let vertex = {};    // to store (x,y,z,s,t)
+        let i, j, k, g, g1, g2, g3, g4, s1, s2, xy, z, h, n, tn, v, index, kk, count, isPole, radii;
+        let hasTangents = this.hasTangents();
+        let minLon = this.getStartLon();
+        let maxLat = this.bounds.maxLat * Math.PI / 180;
+        let sectorStep = (this.bounds.maxLon - this.bounds.minLon) * Math.PI / 180 / this.sectorCount;
+        let stackStep = (this.bounds.maxLat - this.bounds.minLat) * Math.PI / 180 / this.stackCount;
+        let sectorAngle, stackAngle, st;
+        let rowSize = this.sectorCount + 1;
+        let grid = new Float32Array(5 * rowSize * (this.stackCount + 1));  // (x,y,z,s,t) per grid point
 
-        // compute all vertices first, each vertex contains (x,y,z,s,t) except normal
-        for(i = 0; i <= this.stackCount; ++i)
+        // compute all grid points first, each point contains (x,y,z,s,t) except normal
+        for(i = 0, g = 0; i <= this.stackCount; ++i)
         {
-            stackAngle = Math.PI / 2 - i * stackStep;       // starting from pi/2 to -pi/2
-            xy = this.radius * Math.cos(stackAngle);        // r * cos(u)
-            z = this.radius * Math.sin(stackAngle);         // r * sin(u)
+            stackAngle = maxLat - i * stackStep;            // starting from pi/2 to -pi/2
+            radii = Sphere.computeEllipsoidRadii(this.radius, this.polarRadius, stackAngle);
+            xy = radii[0] * Math.cos(stackAngle);           // r * cos(u)
+            z = radii[1] * Math.sin(stackAngle);            // r * sin(u)
 
-            // add (sectorCount+1) vertices per stack
-            // the first and last vertices have same position and normal, but different tex coords
-            for(j = 0; j <= this.sectorCount; ++j)
+            // add (sectorCount+1) points per stack
+            // the first and last points have same position and normal, but different tex coords
+            for(j = 0; j <= this.sectorCount; ++j, g += 5)
             {
-                sectorAngle = j * sectorStep;               // starting from 0 to 2pi
-                vertex = {x: xy * Math.cos(sectorAngle),    // x = r * cos(u) * cos(v)
-                          y: xy * Math.sin(sectorAngle),    // y = r * cos(u) * sin(v)
-                          z: z,                             // z = r * sin(u)
-                          s: j / this.sectorCount,
-                          t: i / this.stackCount};
-                tmpVertices.push(vertex);
+                sectorAngle = minLon + j * sectorStep;      // starting from 0 to 2pi (+ offset)
+                st = this.computeTexCoord(i, j, stackAngle, sectorAngle);
+                h = this.getHeight(stackAngle, sectorAngle);    // displacement along normal
+                grid[g]   = (xy + h * Math.cos(stackAngle)) * Math.cos(sectorAngle);   // x = r * cos(u) * cos(v)
+                grid[g+1] = (xy + h * Math.cos(stackAngle)) * Math.sin(sectorAngle);   // y = r * cos(u) * sin(v)
+                grid[g+2] = z + h * Math.sin(stackAngle);                              // z = r * sin(u)
+                grid[g+3] = st[0];
+                grid[g+4] = st[1];
             }
         }
 
         // resize typed arrays
         this.resizeArraysFlat();
 
-        ii = jj = kk = index = 0;
+        kk = index = 0;
         for(i = 0; i < this.stackCount; ++i)
         {
-            vi1 = i * (this.sectorCount + 1);               // index of tmpVertices
-            vi2 = (i+1) * (this.sectorCount + 1);
-
-            for(j = 0; j < this.sectorCount; ++j, ++vi1, ++vi2)
+            isPole = this.isPoleStack(i);
+            for(j = 0; j < this.sectorCount; ++j)
             {
-                // get 4 vertices per sector
-                //  v1-v3
+                // get 4 grid points per sector
+                //  g1-g3
                 //  |  |
-                //  v2-v4
-                v1 = tmpVertices[vi1];
-                v2 = tmpVertices[vi2];
-                v3 = tmpVertices[vi1+1];
-                v4 = tmpVertices[vi2+1];
-
-                // if 1st stack and last stack, store only 1 triangle per sector
-                // otherwise, store 2 triangles (quad) per sector
-                if(i == 0) // a triangle for first stack ======================
+                //  g2-g4
+                g1 = (i * rowSize + j) * 5;
+                g2 = g1 + rowSize * 5;
+                g3 = g1 + 5;
+                g4 = g2 + 5;
+                s1 = grid[g1+3];
+                s2 = grid[g2+3];
+
+                // pole vertex at the middle of the sector
+                if(this.texCoordOptions.polarCorrection && isPole)
                 {
-                    // put a triangle
-                    this.addVertex(ii,   v1.x, v1.y, v1.z);
-                    this.addVertex(ii+3, v2.x, v2.y, v2.z);
-                    this.addVertex(ii+6, v4.x, v4.y, v4.z);
-
-                    // put tex coords of triangle
-                    this.addTexCoord(jj,   v1.s, v1.t);
-                    this.addTexCoord(jj+2, v2.s, v2.t);
-                    this.addTexCoord(jj+4, v4.s, v4.t);
-
-                    // put normal
-                    n = Sphere.computeFaceNormal(v1.x,v1.y,v1.z, v2.x,v2.y,v2.z, v4.x,v4.y,v4.z);
-                    this.addNormal(ii,   n[0], n[1], n[2]);
-                    this.addNormal(ii+3, n[0], n[1], n[2]);
-                    this.addNormal(ii+6, n[0], n[1], n[2]);
-
-                    // put indices of 1 triangle
-                    this.addIndices(kk, index, index+1, index+2);
-
-                    // next
-                    ii += 9;
-                    jj += 6;
-                    kk += 3;
-                    index += 3;
+                    if(i == 0)
+                        s1 = (s1 + grid[g3+3]) * 0.5;
+                    else
+                        s2 = (s2 + grid[g4+3]) * 0.5;
                 }
-                else if(i == (this.stackCount-1)) // a triangle for last stack =====
+
+                // if 1st stack and last stack at poles, store only 1 triangle per sector
+                // otherwise, store 2 triangles (quad) per sector: v1-v2-v3-v4
+                this.addGridVertex(index,   grid, g1, s1);
+                this.addGridVertex(index+1, grid, g2, s2);
+                if(i == 0 && isPole)                            // a triangle for first stack
                 {
-                    // put a triangle
-                    this.addVertex(ii,   v1.x, v1.y, v1.z);
-                    this.addVertex(ii+3, v2.x, v2.y, v2.z);
-                    this.addVertex(ii+6, v3.x, v3.y, v3.z);
-
-                    // put tex coords of triangle
-                    this.addTexCoord(jj,   v1.s, v1.t);
-                    this.addTexCoord(jj+2, v2.s, v2.t);
-                    this.addTexCoord(jj+4, v3.s, v3.t);
-
-                    // put normal
-                    n = Sphere.computeFaceNormal(v1.x,v1.y,v1.z, v2.x,v2.y,v2.z, v3.x,v3.y,v3.z);
-                    this.addNormal(ii,   n[0], n[1], n[2]);
-                    this.addNormal(ii+3, n[0], n[1], n[2]);
-                    this.addNormal(ii+6, n[0], n[1], n[2]);
-
-                    // put indices of 1 triangle
-                    this.addIndices(kk, index, index+1, index+2);
-
-                    // next
-                    ii += 9;
-                    jj += 6;
-                    kk += 3;
-                    index += 3;
+                    this.addGridVertex(index+2, grid, g4, grid[g4+3]);
+                    count = 3;
+                }
+                else if(i == (this.stackCount-1) && isPole)     // a triangle for last stack
+                {
+                    this.addGridVertex(index+2, grid, g3, grid[g3+3]);
+                    count = 3;
                 }
-                else // 2 triangles for others ================================
+                else
                 {
-                    // put quad vertices: v1-v2-v3-v4
-                    this.addVertex(ii,   v1.x, v1.y, v1.z);
-                    this.addVertex(ii+3, v2.x, v2.y, v2.z);
-                    this.addVertex(ii+6, v3.x, v3.y, v3.z);
-                    this.addVertex(ii+9, v4.x, v4.y, v4.z);
-
-                    // put tex coords of quad
-                    this.addTexCoord(jj,   v1.s, v1.t);
-                    this.addTexCoord(jj+2, v2.s, v2.t);
-                    this.addTexCoord(jj+4, v3.s, v3.t);
-                    this.addTexCoord(jj+6, v4.s, v4.t);
-
-                    // put normal
-                    n = Sphere.computeFaceNormal(v1.x,v1.y,v1.z, v2.x,v2.y,v2.z, v3.x,v3.y,v3.z);
-                    this.addNormal(ii,   n[0], n[1], n[2]);
-                    this.addNormal(ii+3, n[0], n[1], n[2]);
-                    this.addNormal(ii+6, n[0], n[1], n[2]);
-
-                    // put indices of quad (2 triangles)
-                    this.addIndices(kk,   index, index+1, index+2);
-                    this.addIndices(kk+3, index+2, index+1, index+3);
-
-                    // next
-                    ii += 12;
-                    jj += 8;
-                    kk += 6;
-                    index += 4;
+                    this.addGridVertex(index+2, grid, g3, grid[g3+3]);
+                    this.addGridVertex(index+3, grid, g4, grid[g4+3]);
+                    count = 4;
                 }
+
+                // put normal and tangent of the first triangle to all vertices of the face
+                v = this.vertices;
+                k = index * 3;
+                n = Sphere.computeFaceNormal(v[k],v[k+1],v[k+2], v[k+3],v[k+4],v[k+5], v[k+6],v[k+7],v[k+8]);
+                if(hasTangents)
+                    tn = Sphere.computeFaceTangent(this.vertices, this.texCoords, index, index+1, index+2, n);
+                for(k = index; k < index + count; ++k)
+                {
+                    this.addNormal(k * 3, n[0], n[1], n[2]);
+                    if(hasTangents)
+                        this.addTangent(k * 4, tn[0], tn[1], tn[2], tn[3]);
+                }
+
+                // put indices of 1 triangle, or quad (2 triangles)
+                this.addIndices(kk, index, index+1, index+2);
+                kk += 3;
+                if(count == 4)
+                {
+                    this.addIndices(kk, index+2, index+1, index+3);
+                    kk += 3;
+                }
+
+                // next
+                index += count;
             }
         }
 
         // generate interleaved vertex array as well
         this.buildInterleavedVertices();
+        this.buildDrawRanges();
         this.buildVbos();
     },
 
     ///////////////////////////////////////////////////////////////////////////
-    // generate interleaved vertices: V/N/T
-    // stride must be 32 bytes
+    // longitude (radian) of the first sector
+    // A full sphere with global tex coords starts at -lonOffset, where s is 0,
+    // so the seam vertices are at the left and right edges of the texture.
+    ///////////////////////////////////////////////////////////////////////////
+    getStartLon: function()
+    {
+        if(!this.localTexCoords && (this.bounds.maxLon - this.bounds.minLon) >= 360)
+            return -this.texCoordOptions.lonOffset * Math.PI / 180;
+        return this.bounds.minLon * Math.PI / 180;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // compute tex coord of the vertex at stack i and sector j
+    // Local tex coords span [0,1] over the bounds. Global tex coords are of
+    // the whole sphere: s = (lon + lonOffset) / 2pi, moved by a whole turn so
+    // s of the west edge is in [0,1). A patch crossing the seam has s > 1, so
+    // its texture needs REPEAT wrap.
+    //  equirectangular: t = (pi/2 - lat) / pi
+    //  mercator:        t = 1/2 - y / (2 * yMax), y = ln(tan(pi/4 + lat/2))
+    // where yMax is y at mercatorCutoff, and t is clamped to [0,1] beyond it.
+    // For the whole sphere, local and equirectangular are same.
+    ///////////////////////////////////////////////////////////////////////////
+    computeTexCoord: function(i, j, stackAngle, sectorAngle)
+    {
+        if(this.localTexCoords)
+            return [j / this.sectorCount, i / this.stackCount];
+
+        let o = this.texCoordOptions;
+        let offset = o.lonOffset * Math.PI / 180;
+        let s = (sectorAngle + offset) / (2 * Math.PI);
+        s -= Math.floor((this.getStartLon() + offset) / (2 * Math.PI) + 0.000001);
+        if(o.flipS)
+            s = 1 - s;
+
+        let t;
+        if(o.mode == Sphere.TexCoordMode.MERCATOR)
+        {
+            let cutoff = o.mercatorCutoff * Math.PI / 180;
+            let lat = Math.max(-cutoff, Math.min(cutoff, stackAngle));
+            t = 0.5 - Sphere.computeMercatorY(lat) / (2 * Sphere.computeMercatorY(cutoff));
+        }
+        else
+        {
+            t = 0.5 - stackAngle / Math.PI;
+        }
+        return [s, t];
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // move s of the pole vertices of smooth build to the middle of the sector
+    // Each vertex in a pole row is used by only 1 triangle: the north pole
+    // vertex j by sector j-1, and the south pole vertex j by sector j.
+    ///////////////////////////////////////////////////////////////////////////
+    correctPolarTexCoords: function()
+    {
+        let t = this.texCoords;
+        let j, k;
+        if(this.bounds.maxLat >= 90)
+        {
+            for(j = this.sectorCount; j > 0; --j)   // backward, j-1 is not moved yet
+                t[j * 2] = (t[j * 2] + t[(j - 1) * 2]) * 0.5;
+        }
+        if(this.bounds.minLat <= -90)
+        {
+            k = this.stackCount * (this.sectorCount + 1) * 2;
+            for(j = 0; j < this.sectorCount; ++j)
+                t[k + j * 2] = (t[k + j * 2] + t[k + (j + 1) * 2]) * 0.5;
+        }
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // compute the position of each vertex on flat map
+    // The position is found back from its tex coord, so the flat vertices of
+    // the seam and the poles are split same as the tex coords, and the map
+    // looks same as the texture image. A Mercator map is 2*yMax*r high
+    // instead of pi*r (square with the Web Mercator cutoff).
+    ///////////////////////////////////////////////////////////////////////////
+    computeFlatVertices: function()
+    {
+        let count = this.getTexCoordCount();
+        let b = this.bounds;
+        let r = this.radius;
+        let o = this.texCoordOptions || Sphere.DEFAULT_TEX_COORD_OPTIONS;   // Icosphere and Cubesphere
+        let height = Math.PI;
+        if(o.mode == Sphere.TexCoordMode.MERCATOR)
+            height = 2 * Sphere.computeMercatorY(o.mercatorCutoff * Math.PI / 180);
+        let i, s, t, lat, lon;
+        this.flatVertices = new Float32Array(3 * count);
+        for(i = 0; i < count; ++i)
+        {
+            s = this.texCoords[i * 2];
+            t = this.texCoords[i * 2 + 1];
+            if(this.localTexCoords)
+            {
+                lon = b.minLon + s * (b.maxLon - b.minLon);
+                lat = b.maxLat - t * (b.maxLat - b.minLat);
+                this.flatVertices[i * 3]     = r * (lon / 180 - 1) * Math.PI;
+                this.flatVertices[i * 3 + 2] = r * lat / 180 * Math.PI;
+            }
+            else
+            {
+                this.flatVertices[i * 3]     = r * (2 * s - 1) * Math.PI;
+                this.flatVertices[i * 3 + 2] = r * (0.5 - t) * height;
+            }
+            this.flatVertices[i * 3 + 1] = 0;
+        }
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate interleaved vertices in the order of layout, e.g. V/N/T
+    // It also computes the stride and the byte offset of each attribute.
+    // The default layout is 32 bytes: v(3)+n(3)+t(2)
     ///////////////////////////////////////////////////////////////////////////
     buildInterleavedVertices: function()
     {
         let vertexCount = this.getVertexCount();
-        this.interleavedVertices.length = 0;
-        this.interleavedVertices = new Float32Array(vertexCount * 8); // v(3)+n(3)+t(2)
+        // not hasFlatVertices(), Icosphere and Cubesphere share this function
+        if(this.layout.indexOf("flatVertex") >= 0)
+            this.computeFlatVertices();
+
+        let sources = { vertex:this.vertices, normal:this.normals, texCoord:this.texCoords, tangent:this.tangents,
+                        flatVertex:this.flatVertices };
+        let floatCount = 0;
+        let i, j, k, a, name, size, offset, source;
+
+        this.offsets = {};
+        for(a = 0; a < this.layout.length; ++a)
+        {
+            name = this.layout[a];
+            this.offsets[name] = floatCount * 4;
+            floatCount += Sphere.ATTRIBUTE_SIZES[name];
+        }
+        this.stride = floatCount * 4;
+
+        this.interleavedVertices = new Float32Array(vertexCount * floatCount);
+        for(a = 0; a < this.layout.length; ++a)
+        {
+            name = this.layout[a];
+            size = Sphere.ATTRIBUTE_SIZES[name];
+            offset = this.offsets[name] / 4;
+            source = sources[name];
+            for(i = 0, j = 0, k = offset; i < vertexCount; ++i, j += size, k += floatCount)
+            {
+                this.interleavedVertices[k]   = source[j];
+                this.interleavedVertices[k+1] = source[j+1];
+                if(size > 2)
+                    this.interleavedVertices[k+2] = source[j+2];
+                if(size > 3)
+                    this.interleavedVertices[k+3] = source[j+3];
+            }
+        }
+    },
 
-        let i, j, k;
-        for(i=0, j=0, k=0; i < this.vertices.length; i+=3, j+=2, k+=8)
+    ///////////////////////////////////////////////////////////////////////////
+    // decide index type and draw ranges
+    // It keeps 32-bit indices only if there are more than 65536 vertices and
+    // the context supports them. Otherwise a large mesh is split by whole
+    // stacks into chunks of at most 65536 vertices, and the indices of each
+    // chunk are rewritten as 16-bit, relative to the first vertex of the chunk.
+    // set() limits the sector count, so a stack is never larger than a chunk.
+    ///////////////////////////////////////////////////////////////////////////
+    buildDrawRanges: function()
+    {
+        let indexCount = this.getIndexCount();
+        this.drawRanges = [];
+        if(this.getVertexCount() <= 65536 || this.uintIndexSupported)
         {
-            this.interleavedVertices[k]   = this.vertices[i];
-            this.interleavedVertices[k+1] = this.vertices[i+1];
-            this.interleavedVertices[k+2] = this.vertices[i+2];
+            this.indexType = (this.indices instanceof Uint32Array) ? Sphere.UNSIGNED_INT : Sphere.UNSIGNED_SHORT;
+            this.drawRanges.push({vertexOffset: 0, indexOffset: 0, indexCount: indexCount});
+            return;
+        }
 
-            this.interleavedVertices[k+3] = this.normals[i];
-            this.interleavedVertices[k+4] = this.normals[i+1];
-            this.interleavedVertices[k+5] = this.normals[i+2];
+        let indices = new Uint16Array(indexCount);
+        let range = null;
+        let firstVertex = 0;
+        let vertexStart = 0, vertexEnd = 0;
+        let indexStart = 0, count = 0;
+        let i, k, isPole;
+        for(i = 0; i < this.stackCount; ++i)
+        {
+            // stacks at poles have 1 triangle per sector, others have 2
+            isPole = this.isPoleStack(i);
+            count = (isPole ? 3 : 6) * this.sectorCount;
+
+            // vertices used by this stack
+            if(this.smooth)
+            {
+                vertexStart = i * (this.sectorCount + 1);
+                vertexEnd = vertexStart + 2 * (this.sectorCount + 1);
+            }
+            else
+            {
+                vertexStart = vertexEnd;
+                vertexEnd = vertexStart + (isPole ? 3 : 4) * this.sectorCount;
+            }
+
+            // start a new chunk if this stack does not fit
+            if(!range || (vertexEnd - firstVertex) > 65536)
+            {
+                firstVertex = vertexStart;
+                range = {vertexOffset: firstVertex * this.stride, indexOffset: indexStart * 2, indexCount: 0};
+                this.drawRanges.push(range);
+            }
 
-            this.interleavedVertices[k+6] = this.texCoords[j];
-            this.interleavedVertices[k+7] = this.texCoords[j+1];
+            for(k = indexStart; k < indexStart + count; ++k)
+                indices[k] = this.indices[k] - firstVertex;
+            range.indexCount += count;
+            indexStart += count;
         }
+        this.indices = indices;
+        this.indexType = Sphere.UNSIGNED_SHORT;
     },
 
     ///////////////////////////////////////////////////////////////////////////
@@ -420,6 +936,15 @@ Sphere.prototype =
     buildVbos: function()
     {
         let gl = this.gl;
+        if(!gl)
+            return;     // headless, upload(gl) later
+
+        if(!this.vboVertex)
+        {
+            this.vboVertex = gl.createBuffer();
+            this.vboIndex = gl.createBuffer();
+        }
+
         // copy vertices/normals/texcoords to VBO
         gl.bindBuffer(gl.ARRAY_BUFFER, this.vboVertex);
         gl.bufferData(gl.ARRAY_BUFFER, this.interleavedVertices, gl.STATIC_DRAW);
@@ -433,7 +958,120 @@ Sphere.prototype =
 
 
     ///////////////////////////////////////////////////////////////////////////
-    // add vertex, normal, texcoord and indices
+    // set GL context of a headless sphere and copy its data to VBOs
+    // If 32-bit index support differs from the build, large meshes are
+    // rebuilt, so that the index type and draw ranges match the context.
+    ///////////////////////////////////////////////////////////////////////////
+    upload: function(gl)
+    {
+        this.gl = gl;
+        let supported = Sphere.isUintIndexSupported(gl);
+        if(supported != this.uintIndexSupported && this.getVertexCount() > 65536)
+        {
+            this.uintIndexSupported = supported;
+            this.set(this.radius, this.sectorCount, this.stackCount, this.smooth, this.polarRadius);
+        }
+        else
+        {
+            this.uintIndexSupported = supported;
+            this.buildVbos();
+        }
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // same as set(), but build the arrays in the shared Web Worker
+    // It returns a promise resolved with this sphere after the new mesh is
+    // copied to the VBOs. Each request is tagged with the generation of the
+    // sphere; if another build starts before the result arrives, by
+    // setAsync(), set() or a setter that rebuilds (setBounds(), setLayout()..),
+    // the result is out of date, so it is dropped and its promise is resolved
+    // without changes.
+    // Without Web Worker, it calls set() and resolves immediately.
+    ///////////////////////////////////////////////////////////////////////////
+    setAsync: function(r, se, st, sm, pr, texCoordOptions)
+    {
+        let id = ++Sphere.buildCount;
+        let generation = ++this.generation;
+        se = Math.min(se, this.getMaxSectorCount(sm));   // the worker is headless
+        let params = this.getBuildParams(r, se, st, sm, pr, texCoordOptions);
+        let worker = Sphere.getWorker();
+        if(!worker)
+        {
+            this.set(r, se, st, sm, pr, texCoordOptions);
+            return Promise.resolve(this);
+        }
+
+        return new Promise((resolve) =>
+        {
+            Sphere.workerRequests[id] = { sphere:this, generation:generation, params:params, resolve:resolve };
+            worker.postMessage({ id:id, params:params });
+        });
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // all params to build the same sphere in a worker, see Sphere.fromBuildParams()
+    ///////////////////////////////////////////////////////////////////////////
+    getBuildParams: function(r, se, st, sm, pr, texCoordOptions)
+    {
+        return { radius:r,
+                 sectorCount:se,
+                 stackCount:st,
+                 smooth:sm,
+                 polarRadius:(pr === undefined) ? r : pr,
+                 layout:this.layout,
+                 bounds:this.bounds,
+                 localTexCoords:this.localTexCoords,
+                 texCoordOptions:Object.assign({}, this.texCoordOptions, texCoordOptions),
+                 heightmap:this.heightmap,
+                 exaggeration:this.exaggeration };
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // take the arrays built by the worker, then decide draw ranges for this
+    // context and copy them to the VBOs
+    ///////////////////////////////////////////////////////////////////////////
+    applyBuild: function(result)
+    {
+        this.radius = result.radius;
+        this.polarRadius = result.polarRadius;
+        this.sectorCount = result.sectorCount;
+        this.stackCount = result.stackCount;
+        this.smooth = result.smooth;
+        this.texCoordOptions = result.texCoordOptions;
+        this.vertices = result.vertices;
+        this.normals = result.normals;
+        this.texCoords = result.texCoords;
+        this.tangents = this.hasTangents() ? result.tangents : [];
+        this.flatVertices = this.hasFlatVertices() ? result.flatVertices : [];
+        this.indices = result.indices;
+        this.interleavedVertices = result.interleavedVertices;
+        this.stride = result.stride;
+        this.offsets = result.offsets;
+        this.buildDrawRanges();
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // delete VBOs, but keep the vertex arrays, so upload(gl) can copy them
+    // again, e.g. after the context is restored
+    // The buffers of a lost context are already gone, so only forget them.
+    ///////////////////////////////////////////////////////////////////////////
+    dispose: function()
+    {
+        let gl = this.gl;
+        if(gl && !gl.isContextLost())
+        {
+            gl.deleteBuffer(this.vboVertex);
+            gl.deleteBuffer(this.vboIndex);
+        }
+        this.vboVertex = null;
+        this.vboIndex = null;
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // add vertex, normal, texcoord, tangent and indices
     ///////////////////////////////////////////////////////////////////////////
     addVertex: function(index, x, y, z)
     {
@@ -452,11 +1090,25 @@ Sphere.prototype =
         this.texCoords[index]   = s;
         this.texCoords[index+1] = t;
     },
+    addTangent: function(index, x, y, z, w)
+    {
+        this.tangents[index]   = x;
+        this.tangents[index+1] = y;
+        this.tangents[index+2] = z;
+        this.tangents[index+3] = w;
+    },
     addIndices: function(index, i1, i2, i3)
     {
         this.indices[index]   = i1;
         this.indices[index+1] = i2;
         this.indices[index+2] = i3;
+    },
+    // copy position and t of the grid point at g (x,y,z,s,t) to the vertex
+    // at index, with its own s (e.g. polar corrected)
+    addGridVertex: function(index, grid, g, s)
+    {
+        this.addVertex(index * 3, grid[g], grid[g+1], grid[g+2]);
+        this.addTexCoord(index * 2, s, grid[g+4]);
     }
 };
 
@@ -487,3 +1139,305 @@ Sphere.computeFaceNormal = function(x1,y1,z1, x2,y2,z2, x3,y3,z3)
     }
     return normal;
 }
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// compute tangent of a triangle for normal mapping
+// i1, i2, i3 are the vertex indices of the triangle in the position (x,y,z)
+// and tex coord (s,t) arrays, and n is the face normal.
+// It returns (x,y,z,w): the tangent is the direction of +s on the triangle,
+// made perpendicular to n, and w=+1/-1 is the handedness of the bitangent
+// (direction of +t), so that bitangent = cross(n, tangent) * w.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.computeFaceTangent = function(vertices, texCoords, i1, i2, i3, n)
+{
+    let tangent = new Float32Array([1, 0, 0, 1]);
+    let ex1 = vertices[i2*3]   - vertices[i1*3];
+    let ey1 = vertices[i2*3+1] - vertices[i1*3+1];
+    let ez1 = vertices[i2*3+2] - vertices[i1*3+2];
+    let ex2 = vertices[i3*3]   - vertices[i1*3];
+    let ey2 = vertices[i3*3+1] - vertices[i1*3+1];
+    let ez2 = vertices[i3*3+2] - vertices[i1*3+2];
+    let ds1 = texCoords[i2*2]   - texCoords[i1*2];
+    let dt1 = texCoords[i2*2+1] - texCoords[i1*2+1];
+    let ds2 = texCoords[i3*2]   - texCoords[i1*2];
+    let dt2 = texCoords[i3*2+1] - texCoords[i1*2+1];
+    let det = ds1 * dt2 - ds2 * dt1;
+    if(Math.abs(det) < 0.000001)
+        return tangent;     // no tex coord area, keep the default
+
+    // solve e1 = ds1 * T + dt1 * B, e2 = ds2 * T + dt2 * B
+    let f = 1 / det;
+    let tx = f * (dt2 * ex1 - dt1 * ex2);
+    let ty = f * (dt2 * ey1 - dt1 * ey2);
+    let tz = f * (dt2 * ez1 - dt1 * ez2);
+    let bx = f * (ds1 * ex2 - ds2 * ex1);
+    let by = f * (ds1 * ey2 - ds2 * ey1);
+    let bz = f * (ds1 * ez2 - ds2 * ez1);
+
+    // Gram-Schmidt: remove the normal part from the tangent
+    let d = n[0] * tx + n[1] * ty + n[2] * tz;
+    tx -= n[0] * d;
+    ty -= n[1] * d;
+    tz -= n[2] * d;
+    let length = Math.sqrt(tx * tx + ty * ty + tz * tz);
+    if(length > 0.000001)
+    {
+        tangent[0] = tx / length;
+        tangent[1] = ty / length;
+        tangent[2] = tz / length;
+    }
+
+    // handedness: compare cross(n, t) with the bitangent
+    let cx = n[1] * tangent[2] - n[2] * tangent[1];
+    let cy = n[2] * tangent[0] - n[0] * tangent[2];
+    let cz = n[0] * tangent[1] - n[1] * tangent[0];
+    tangent[3] = (cx * bx + cy * by + cz * bz < 0) ? -1 : 1;
+    return tangent;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// compute the radii of an ellipsoid at geodetic latitude (radian)
+// a: equatorial radius, b: polar radius
+// It returns [N, N * b^2 / a^2], where N is the prime vertical radius of
+// curvature, so that a point on the surface is
+//  x = N * cos(lat) * cos(lon)
+//  y = N * cos(lat) * sin(lon)
+//  z = N * b^2 / a^2 * sin(lat)
+// For a sphere (a = b), both are the radius.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.computeEllipsoidRadii = function(a, b, lat)
+{
+    if(a == b)
+        return [a, a];
+
+    let cosLat = Math.cos(lat);
+    let sinLat = Math.sin(lat);
+    let n = a * a / Math.sqrt(a * a * cosLat * cosLat + b * b * sinLat * sinLat);
+    return [n, n * b * b / (a * a)];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// Mercator y of latitude (radian), ln(tan(pi/4 + lat/2))
+// It is pi at the Web Mercator cutoff, 85.05112878 degree.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.computeMercatorY = function(lat)
+{
+    return Math.log(Math.tan(Math.PI / 4 + lat / 2));
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// check if 32-bit indices can be drawn with the context
+// WebGL2 has them by default, WebGL1 needs OES_element_index_uint extension.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.isUintIndexSupported = function(gl)
+{
+    if(!gl)
+        return false;
+    if(typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext)
+        return true;
+    return gl.getExtension("OES_element_index_uint") != null;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// create an index array that can hold the vertex indices
+// Uint32Array is used if vertexCount does not fit in 16-bit. It may be
+// converted back to 16-bit chunks later by buildDrawRanges().
+///////////////////////////////////////////////////////////////////////////////
+Sphere.createIndexArray = function(indexCount, vertexCount)
+{
+    if(vertexCount > 65536)
+        return new Uint32Array(indexCount);
+    else
+        return new Uint16Array(indexCount);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// compute the area of a triangle
+///////////////////////////////////////////////////////////////////////////////
+Sphere.computeTriangleArea = function(x1,y1,z1, x2,y2,z2, x3,y3,z3)
+{
+    let ex1 = x2 - x1;
+    let ey1 = y2 - y1;
+    let ez1 = z2 - z1;
+    let ex2 = x3 - x1;
+    let ey2 = y3 - y1;
+    let ez2 = z3 - z1;
+    let nx = ey1 * ez2 - ez1 * ey2;
+    let ny = ez1 * ex2 - ex1 * ez2;
+    let nz = ex1 * ey2 - ey1 * ex2;
+    return 0.5 * Math.sqrt(nx * nx + ny * ny + nz * nz);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// create a heightmap from a grayscale image (HTMLImageElement, canvas...)
+// The red channel 0~255 is mapped to minHeight~maxHeight.
+// It returns {width, height, data:Float32Array}.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.createHeightmap = function(image, minHeight=0, maxHeight=1)
+{
+    let canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    let context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0);
+    let pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+    let count = image.width * image.height;
+    let data = new Float32Array(count);
+    let scale = (maxHeight - minHeight) / 255;
+    for(let i = 0; i < count; ++i)
+        data[i] = minHeight + pixels[i*4] * scale;
+    return {width: image.width, height: image.height, data: data};
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// sample a heightmap at geodetic latitude and sector angle (radian) bilinearly
+// The heightmap is equirectangular; the pixel centers are at sector angle
+// (x + 0.5) / width * 2pi and latitude pi/2 - (y + 0.5) / height * pi, so
+// column 0 starts at longitude -180, the left edge. The sector angle wraps
+// around, and a pole is a single point, so it uses the average of the
+// first or last row.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.sampleHeightmap = function(heightmap, lat, lon)
+{
+    let w = heightmap.width;
+    let h = heightmap.height;
+    let data = heightmap.data;
+    let i, sum;
+
+    if(Math.abs(lat) > Math.PI / 2 - 0.000001)
+    {
+        let row = (lat > 0) ? 0 : (h - 1) * w;
+        for(i = 0, sum = 0; i < w; ++i)
+            sum += data[row + i];
+        return sum / w;
+    }
+
+    let u = lon / (2 * Math.PI);
+    u -= Math.floor(u);
+    let x = u * w - 0.5;
+    let y = (0.5 - lat / Math.PI) * h - 0.5;
+    y = Math.max(0, Math.min(h - 1, y));
+
+    let x0 = Math.floor(x);
+    let y0 = Math.floor(y);
+    let fx = x - x0;
+    let fy = y - y0;
+    let x1 = (x0 + 1) % w;
+    let y1 = Math.min(y0 + 1, h - 1);
+    x0 = (x0 + w) % w;
+
+    let top    = data[y0 * w + x0] * (1 - fx) + data[y0 * w + x1] * fx;
+    let bottom = data[y1 * w + x0] * (1 - fx) + data[y1 * w + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// build a headless sphere from Sphere.getBuildParams(), used by the worker
+// The bounds and heightmap are set before building, so it builds once.
+///////////////////////////////////////////////////////////////////////////////
+Sphere.fromBuildParams = function(params)
+{
+    let sphere = new Sphere(null, 1, 3, 2, true, 1, params.layout, params.texCoordOptions);    // smallest
+    sphere.bounds = params.bounds;
+    sphere.localTexCoords = params.localTexCoords;
+    sphere.heightmap = params.heightmap;
+    sphere.exaggeration = params.exaggeration;
+    return sphere.set(params.radius, params.sectorCount, params.stackCount, params.smooth, params.polarRadius);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// create the shared worker for setAsync() once, null if it is not available
+///////////////////////////////////////////////////////////////////////////////
+Sphere.getWorker = function()
+{
+    if(Sphere.worker || Sphere.workerFailed)
+        return Sphere.worker;
+
+    if(typeof Worker === "undefined")
+    {
+        Sphere.workerFailed = true;
+        return null;
+    }
+
+    try
+    {
+        Sphere.worker = new Worker(new URL("./SphereWorker.js", import.meta.url), { type:"module" });
+        Sphere.worker.onmessage = Sphere.onWorkerMessage;
+        Sphere.worker.onerror = Sphere.onWorkerError;
+    }
+    catch(e)
+    {
+        log("[WARNING] Sphere failed to create worker, build synchronously: " + e);
+        Sphere.worker = null;
+        Sphere.workerFailed = true;
+    }
+    return Sphere.worker;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// apply the arrays from the worker if no other build of the sphere started
+// after the request
+///////////////////////////////////////////////////////////////////////////////
+Sphere.onWorkerMessage = function(event)
+{
+    let result = event.data;
+    let request = Sphere.workerRequests[result.id];
+    if(!request)
+        return;
+
+    delete Sphere.workerRequests[result.id];
+    if(request.sphere.generation == request.generation)
+        request.sphere.applyBuild(result);
+    request.resolve(request.sphere);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// the worker failed (e.g. no module worker support), so stop using it and
+// build the pending requests synchronously
+///////////////////////////////////////////////////////////////////////////////
+Sphere.onWorkerError = function(event)
+{
+    log("[WARNING] Sphere worker failed, build synchronously: " + (event.message || event));
+    if(event.preventDefault)
+        event.preventDefault();
+    if(Sphere.worker)
+        Sphere.worker.terminate();
+    Sphere.worker = null;
+    Sphere.workerFailed = true;
+
+    let requests = Sphere.workerRequests;
+    Sphere.workerRequests = {};
+    for(let id in requests)
+    {
+        let request = requests[id];
+        let p = request.params;
+        if(request.sphere.generation == request.generation)
+            request.sphere.set(p.radius, p.sectorCount, p.stackCount, p.smooth, p.polarRadius, p.texCoordOptions);
+        request.resolve(request.sphere);
+    }
+}
@@ -0,0 +1,45 @@
+///////////////////////////////////////////////////////////////////////////////
+// SphereWorker.js
+// ===============
+// Web Worker (module type) to build Sphere arrays off the main thread.
+// It receives {id, params} from Sphere.setAsync(), builds a headless sphere
+// with the params, and sends back its arrays with the buffers transferred,
+// so they are moved to the main thread without copying.
+// The indices are absolute (32-bit for a large sphere); the main thread
+// decides the draw ranges for its own context.
+//
+// This file depends on:
+// Sphere.js
+///////////////////////////////////////////////////////////////////////////////
+
+import { Sphere } from "./Sphere.js";
+
+self.onmessage = function(event)
+{
+    let id = event.data.id;
+    let sphere = Sphere.fromBuildParams(event.data.params);
+
+    // tangents and flat vertices are empty arrays if not in the layout
+    let result = { id:id,
+                   radius:sphere.radius,
+                   polarRadius:sphere.polarRadius,
+                   sectorCount:sphere.sectorCount,
+                   stackCount:sphere.stackCount,
+                   smooth:sphere.smooth,
+                   texCoordOptions:sphere.texCoordOptions,
+                   vertices:sphere.vertices,
+                   normals:sphere.normals,
+                   texCoords:sphere.texCoords,
+                   tangents:new Float32Array(sphere.tangents),
+                   flatVertices:new Float32Array(sphere.flatVertices),
+                   indices:sphere.indices,
+                   interleavedVertices:sphere.interleavedVertices,
+                   stride:sphere.stride,
+                   offsets:sphere.offsets };
+
+    // transfer each buffer once, the arrays do not share buffers
+    let transfers = [];
+    for(let name of ["vertices", "normals", "texCoords", "tangents", "flatVertices", "indices", "interleavedVertices"])
+        transfers.push(result[name].buffer);
+    self.postMessage(result, transfers);
+};
@@ -0,0 +1,213 @@
+///////////////////////////////////////////////////////////////////////////////
+// Starfield.js
+// ============
+// Procedural star field for the background, drawn with gl.POINTS.
+// With default constructor, it creates 3000 stars with seed=1. The same seed
+// always makes the same sky, from a seeded random number generator instead
+// of Math.random().
+// Each star is a direction on the unit sphere, uniformly distributed, and an
+// apparent magnitude from minMagnitude (brightest) to maxMagnitude (faintest).
+// The faint stars are more numerous; the number of stars brighter than m
+// grows as 10^(0.5 * m), close to the real sky. The magnitude decides the
+// point size in pixels and the brightness, and the color is tinted from blue
+// to yellow white, as the temperature of stars.
+//
+// The GL context is optional, same as Sphere; call upload(gl) later.
+//
+// Draw the directions at infinity (w = 0) with the rotation of the camera, so
+// the stars turn with the view but do not move with zoom or translation.
+//
+// Example of OpenGL drawing calls (interleaved, 28 bytes per star)
+// ===============================
+//  gl.bindBuffer(gl.ARRAY_BUFFER, starfield.vboVertex);
+//  gl.vertexAttribPointer(gl.program.attribute.vertexPosition, 3, gl.FLOAT, false, 28, 0);
+//  gl.vertexAttribPointer(gl.program.attribute.pointSize, 1, gl.FLOAT, false, 28, 12);
+//  gl.vertexAttribPointer(gl.program.attribute.color, 3, gl.FLOAT, false, 28, 16);
+//  gl.drawArrays(gl.POINTS, 0, starfield.getVertexCount());
+///////////////////////////////////////////////////////////////////////////////
+
+export let Starfield = function(gl=null, count=3000, seed=1)
+{
+    this.gl = gl;
+
+    this.count = 3000;
+    this.seed = 1;
+    this.minMagnitude = -1.5;   // brightest, about Sirius
+    this.maxMagnitude = 6.5;    // faintest, about naked eye limit
+    this.minSize = 1;           // point size in pixels of the faintest star
+    this.maxSize = 4;           // point size in pixels of the brightest star
+    this.vertices = [];         // unit directions
+    this.sizes = [];
+    this.colors = [];           // RGB multiplied by brightness
+    this.interleavedVertices = [];
+    this.stride = 28;           // v(3)+size(1)+color(3)
+    if(gl)
+    {
+        this.vboVertex = gl.createBuffer();
+    }
+    // init
+    this.set(count, seed);
+};
+
+Starfield.prototype =
+{
+    set: function(count, seed)
+    {
+        this.count = count;
+        if(count < 0)
+            this.count = 0;
+        this.seed = seed;
+        this.buildVertices();
+        return this;
+    },
+    setCount: function(count)
+    {
+        if(this.count != count)
+            this.set(count, this.seed);
+        return this;
+    },
+    setSeed: function(seed)
+    {
+        if(this.seed != seed)
+            this.set(this.count, seed);
+        return this;
+    },
+    // magnitude range of the stars, brightest first
+    setMagnitudes: function(minMagnitude, maxMagnitude)
+    {
+        if(minMagnitude >= maxMagnitude)
+            return this;
+        this.minMagnitude = minMagnitude;
+        this.maxMagnitude = maxMagnitude;
+        this.set(this.count, this.seed);
+        return this;
+    },
+    getVertexCount: function()
+    {
+        return this.vertices.length / 3;
+    },
+    toString: function()
+    {
+        return "===== Starfield =====\n" +
+               "    Star Count: " + this.getVertexCount() + "\n" +
+               "          Seed: " + this.seed + "\n" +
+               "     Magnitude: " + this.minMagnitude + " to " + this.maxMagnitude + "\n" +
+               "    Point Size: " + this.minSize + " to " + this.maxSize + "\n";
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate direction, size and color of each star
+    // The magnitude is sampled by the inverse of its cumulative distribution,
+    // 10^(0.5 * m), from a uniform random number.
+    ///////////////////////////////////////////////////////////////////////////
+    buildVertices: function()
+    {
+        let random = Starfield.createRandom(this.seed);
+        let lowCount = Math.pow(10, 0.5 * this.minMagnitude);
+        let highCount = Math.pow(10, 0.5 * this.maxMagnitude);
+        let range = this.maxMagnitude - this.minMagnitude;
+        let i, z, xy, angle, magnitude, light, brightness, temperature;
+
+        this.vertices = new Float32Array(3 * this.count);
+        this.sizes = new Float32Array(this.count);
+        this.colors = new Float32Array(3 * this.count);
+        for(i = 0; i < this.count; ++i)
+        {
+            // uniform direction on the unit sphere
+            z = 2 * random() - 1;
+            xy = Math.sqrt(1 - z * z);
+            angle = 2 * Math.PI * random();
+            this.vertices.set([xy * Math.cos(angle), xy * Math.sin(angle), z], i * 3);
+
+            // 1 for the brightest, 0 for the faintest
+            magnitude = Math.log10(lowCount + random() * (highCount - lowCount)) / 0.5;
+            light = 1 - (magnitude - this.minMagnitude) / range;
+            this.sizes[i] = this.minSize + (this.maxSize - this.minSize) * light * light;
+            brightness = 0.25 + 0.75 * light;
+
+            // from blue white (hot) to yellow white (cool)
+            temperature = random();
+            this.colors.set([brightness * (0.8 + 0.2 * temperature),
+                             brightness * 0.9,
+                             brightness * (1.0 - 0.25 * temperature)], i * 3);
+        }
+        this.buildInterleavedVertices();
+        this.buildVbos();
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // generate interleaved vertices: v(3)+size(1)+color(3)
+    ///////////////////////////////////////////////////////////////////////////
+    buildInterleavedVertices: function()
+    {
+        let count = this.getVertexCount();
+        this.interleavedVertices = new Float32Array(count * 7);
+        for(let i = 0, j = 0; i < count; ++i, j += 7)
+        {
+            this.interleavedVertices[j]   = this.vertices[i * 3];
+            this.interleavedVertices[j+1] = this.vertices[i * 3 + 1];
+            this.interleavedVertices[j+2] = this.vertices[i * 3 + 2];
+            this.interleavedVertices[j+3] = this.sizes[i];
+            this.interleavedVertices[j+4] = this.colors[i * 3];
+            this.interleavedVertices[j+5] = this.colors[i * 3 + 1];
+            this.interleavedVertices[j+6] = this.colors[i * 3 + 2];
+        }
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // set GL context of a headless starfield and copy its data to VBO
+    ///////////////////////////////////////////////////////////////////////////
+    upload: function(gl)
+    {
+        this.gl = gl;
+        this.buildVbos();
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // delete VBO and keep the vertex arrays for upload(gl), same as Sphere
+    ///////////////////////////////////////////////////////////////////////////
+    dispose: function()
+    {
+        let gl = this.gl;
+        if(gl && !gl.isContextLost())
+            gl.deleteBuffer(this.vboVertex);
+        this.vboVertex = null;
+        return this;
+    },
+
+    ///////////////////////////////////////////////////////////////////////////
+    // copy interleaved vertex data to VBO
+    ///////////////////////////////////////////////////////////////////////////
+    buildVbos: function()
+    {
+        let gl = this.gl;
+        if(!gl)
+            return;     // headless, upload(gl) later
+
+        if(!this.vboVertex)
+            this.vboVertex = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vboVertex);
+        gl.bufferData(gl.ARRAY_BUFFER, this.interleavedVertices, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    }
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// seeded random number generator (mulberry32)
+// It returns a function that gives the next number in [0, 1) at each call.
+///////////////////////////////////////////////////////////////////////////////
+Starfield.createRandom = function(seed)
+{
+    let state = seed >>> 0;
+    return function()
+    {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,75 @@
+///////////////////////////////////////////////////////////////////////////////
+// SunPosition.js
+// ==============
+// position of the sun for a UTC date/time, to light the globe
+// It uses the low precision formulas of the Astronomical Almanac (about 0.01
+// degree from 1950 to 2050): the ecliptic longitude of the sun gives its
+// right ascension and declination, and the Greenwich sidereal time turns the
+// right ascension into the longitude where the sun is overhead (hour angle 0).
+//
+// The subsolar point is in geographic degree, same as geomutils.js, and the
+// direction to the sun is in the object space of Sphere, for a uniform in the
+// shader that is compared with the object space normals.
+//
+// Example
+// =======
+//  let sun = computeSunPosition(new Date("2024-06-20T20:51:00Z"));
+//  log(sun.lat + ", " + sun.lon);      // 23.44, -132.3
+//  gl.uniform3fv(sunDirectionLocation, computeSunDirection(new Date()));
+///////////////////////////////////////////////////////////////////////////////
+
+import { latLonToPoint } from "./geomutils.js";
+
+// 2000-01-01 12:00 UTC in ms
+const J2000 = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+///////////////////////////////////////////////////////////////////////////////
+// subsolar point and solar coordinates at the date (Date or ms since epoch)
+// It returns {lat, lon, declination, rightAscension, hourAngle} in degree,
+// where lat is the declination, and hourAngle is the Greenwich hour angle of
+// the sun, so lon = -hourAngle in [-180, 180).
+///////////////////////////////////////////////////////////////////////////////
+export function computeSunPosition(date)
+{
+    let d = (date.valueOf() - J2000) / 86400000;   // days since J2000
+    let toRadian = Math.PI / 180;
+
+    // mean longitude and mean anomaly of the sun, then ecliptic longitude
+    let meanLon = 280.460 + 0.9856474 * d;
+    let g = (357.528 + 0.9856003 * d) * toRadian;
+    let eclipticLon = (meanLon + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * toRadian;
+    let obliquity = (23.439 - 0.0000004 * d) * toRadian;
+
+    let rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLon), Math.cos(eclipticLon)) / toRadian;
+    let declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLon)) / toRadian;
+
+    // Greenwich mean sidereal time, then the hour angle of the sun
+    let siderealTime = 280.46061837 + 360.98564736629 * d;
+    let hourAngle = wrapDegree(siderealTime - rightAscension);
+    return { lat:declination,
+             lon:wrapDegree(-hourAngle),
+             declination:declination,
+             rightAscension:wrapDegree(rightAscension),
+             hourAngle:hourAngle };
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// unit vector from the center of the globe to the sun, in object space
+///////////////////////////////////////////////////////////////////////////////
+export function computeSunDirection(date)
+{
+    let sun = computeSunPosition(date);
+    return latLonToPoint(sun.lat, sun.lon, 1);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// angle in degree to [-180, 180)
+///////////////////////////////////////////////////////////////////////////////
+function wrapDegree(value)
+{
+    return ((value + 180) % 360 + 360) % 360 - 180;
+}
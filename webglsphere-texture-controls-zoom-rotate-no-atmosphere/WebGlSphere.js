@@ -0,0 +1,110 @@
+///////////////////////////////////////////////////////////////////////////////
+// WebGlSphere.js
+// ==============
+// <web-gl-sphere> custom element, a Globe on its own canvas in the shadow
+// DOM, so a page can show a globe without any WebGL code.
+// The globe is created when the element is connected to the document, and
+// destroyed when it is removed. The canvas fills the element, 300x300 by
+// default, and the drawing buffer follows its size with the ResizeObserver
+// of Globe.
+//
+// Attributes (changes update the live scene):
+//  texture:     URL of the base map, Globe.DEFAULT_OPTIONS.texture ("world2.webp")
+//               by default
+//  auto-rotate: turn the globe when it is not dragged or zoomed, if present
+//  zoom-min:    limits of the zoom factor for the mouse wheel
+//  zoom-max
+//
+// Events:
+//  globe-click: a click on the globe, event.detail is {lat, lon} in degree
+//
+// The canvas takes the focus when clicked, then the keys of Globe work.
+// The page must load webgl-utils.js and m4.js of webglfundamentals.org.
+//
+// Example
+// =======
+//  <web-gl-sphere texture="world2.webp" auto-rotate zoom-min="0.2" zoom-max="4.5"></web-gl-sphere>
+//  <script type="module" src="WebGlSphere.js"></script>
+//  document.querySelector("web-gl-sphere").addEventListener("globe-click", function(event)
+//  {
+//      log(event.detail.lat + ", " + event.detail.lon);
+//  });
+//
+// This file depends on:
+// Globe.js
+///////////////////////////////////////////////////////////////////////////////
+
+import { Globe } from "./Globe.js";
+
+export class WebGlSphere extends HTMLElement
+{
+    static get observedAttributes()
+    {
+        return ["texture", "auto-rotate", "zoom-min", "zoom-max"];
+    }
+
+    constructor()
+    {
+        super();
+        this.globe = null;
+        let shadow = this.attachShadow({ mode:"open" });
+        shadow.innerHTML = "<style>" +
+                           ":host { display:inline-block; width:300px; height:300px; }" +
+                           "canvas { display:block; width:100%; height:100%; outline:none; }" +
+                           "</style><canvas></canvas>";
+        this.canvas = shadow.querySelector("canvas");
+    }
+
+    connectedCallback()
+    {
+        if(this.globe)
+            return;
+
+        let self = this;
+        let defaults = Globe.DEFAULT_OPTIONS;
+        this.globe = new Globe(this.canvas, {
+            texture: this.getAttribute("texture") || defaults.texture,
+            autoRotate: this.hasAttribute("auto-rotate"),
+            zoomMin: this.getNumberAttribute("zoom-min", defaults.zoomMin),
+            zoomMax: this.getNumberAttribute("zoom-max", defaults.zoomMax),
+            onClick: function(hit)
+            {
+                if(hit)
+                    self.dispatchEvent(new CustomEvent("globe-click", { bubbles:true, detail:hit }));
+            }
+        });
+        this.globe.start();
+    }
+
+    disconnectedCallback()
+    {
+        if(this.globe)
+            this.globe.destroy();
+        this.globe = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue)
+    {
+        let globe = this.globe;
+        if(!globe || oldValue == newValue)
+            return;     // read in connectedCallback() if not created yet
+
+        if(name == "texture")
+            globe.setTexture(newValue || Globe.DEFAULT_OPTIONS.texture);
+        else if(name == "auto-rotate")
+            globe.setAutoRotate(newValue !== null);
+        else if(name == "zoom-min" || name == "zoom-max")
+            globe.setZoomLimits(this.getNumberAttribute("zoom-min", Globe.DEFAULT_OPTIONS.zoomMin),
+                                this.getNumberAttribute("zoom-max", Globe.DEFAULT_OPTIONS.zoomMax));
+    }
+
+    // number value of the attribute, or the default if missing or invalid
+    getNumberAttribute(name, defaultValue)
+    {
+        let value = parseFloat(this.getAttribute(name));
+        return isNaN(value) ? defaultValue : value;
+    }
+}
+
+if(!customElements.get("web-gl-sphere"))
+    customElements.define("web-gl-sphere", WebGlSphere);
@@ -1 +1,226 @@
+///////////////////////////////////////////////////////////////////////////////
+// geomutils.js
+// ============
+// geometry functions to pick the globe with the mouse and to find the canvas
+// position of a geographic coordinate
+// The matrices are column-major 4x4 arrays, same as m4, and modelView is the
+// matrix used to draw the sphere (rotation, zoom scale and camera). The
+// canvas positions are in CSS pixels from the top-left corner of the canvas.
+//
+// Geographic coordinates are in degree. Latitude is the stack angle of
+// Sphere. Longitude 0 is at the middle of the equirectangular texture, so it
+// is the sector angle of Sphere minus 180, in [-180, 180).
+//
+// Example
+// =======
+//  let hit = pickSphere(x, y, width, height, projectionMatrix, modelView, 1);
+//  if(hit) log(hit.lat + ", " + hit.lon);
+//  let screen = projectLatLon(41.0, 29.0, width, height, projectionMatrix, modelView, 1);
+//  if(screen.visible) ... draw a marker at (screen.x, screen.y)
+///////////////////////////////////////////////////////////////////////////////
 
+///////////////////////////////////////////////////////////////////////////////
+// object space point on the sphere at latitude and longitude (degree)
+///////////////////////////////////////////////////////////////////////////////
+export function latLonToPoint(lat, lon, radius=1)
+{
+    let u = lat * Math.PI / 180;
+    let v = (lon + 180) * Math.PI / 180;
+    return [radius * Math.cos(u) * Math.cos(v),
+            radius * Math.cos(u) * Math.sin(v),
+            radius * Math.sin(u)];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// latitude and longitude (degree) of the direction of an object space point
+///////////////////////////////////////////////////////////////////////////////
+export function pointToLatLon(p)
+{
+    let length = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]);
+    let lat = Math.asin(Math.max(-1, Math.min(1, p[2] / length))) * 180 / Math.PI;
+    let lon = Math.atan2(p[1], p[0]) * 180 / Math.PI - 180;    // sector angle - 180
+    if(lon < -180)
+        lon += 360;
+    return { lat:lat, lon:lon };
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// ray from the camera through the canvas position, in object space
+// It unprojects the position at the near and far planes with the inverse of
+// projection * modelView. The direction is normalized.
+///////////////////////////////////////////////////////////////////////////////
+export function unproject(x, y, width, height, projection, modelView)
+{
+    let inverse = invertMatrix(multiplyMatrices(projection, modelView));
+    if(!inverse)
+        return null;
+
+    // canvas to normalized device coords, y goes up
+    let nx = 2 * x / width - 1;
+    let ny = 1 - 2 * y / height;
+    let near = transformPoint(inverse, [nx, ny, -1]);
+    let far = transformPoint(inverse, [nx, ny, 1]);
+    let dx = far[0] - near[0];
+    let dy = far[1] - near[1];
+    let dz = far[2] - near[2];
+    let length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    return { origin:near, direction:[dx / length, dy / length, dz / length] };
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// distance along the ray to the nearest intersection with the sphere at the
+// origin, or null if the ray misses it
+// direction must be normalized. If the origin is inside the sphere, it
+// returns the intersection in front of the origin.
+///////////////////////////////////////////////////////////////////////////////
+export function intersectSphere(origin, direction, radius=1)
+{
+    let b = origin[0] * direction[0] + origin[1] * direction[1] + origin[2] * direction[2];
+    let c = origin[0] * origin[0] + origin[1] * origin[1] + origin[2] * origin[2] - radius * radius;
+    let d = b * b - c;
+    if(d < 0)
+        return null;
+
+    let sqrtD = Math.sqrt(d);
+    let t = -b - sqrtD;
+    if(t < 0)
+        t = -b + sqrtD;     // origin is inside
+    if(t < 0)
+        return null;        // sphere is behind
+    return t;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// pick the sphere at the canvas position
+// It returns {lat, lon, point} of the nearest hit, where point is in object
+// space, or null if the position misses the globe.
+///////////////////////////////////////////////////////////////////////////////
+export function pickSphere(x, y, width, height, projection, modelView, radius=1)
+{
+    let ray = unproject(x, y, width, height, projection, modelView);
+    if(!ray)
+        return null;
+
+    let t = intersectSphere(ray.origin, ray.direction, radius);
+    if(t === null)
+        return null;
+
+    let point = [ray.origin[0] + ray.direction[0] * t,
+                 ray.origin[1] + ray.direction[1] * t,
+                 ray.origin[2] + ray.direction[2] * t];
+    let coord = pointToLatLon(point);
+    return { lat:coord.lat, lon:coord.lon, point:point };
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// canvas position of latitude and longitude (degree) on the sphere
+// It returns {x, y, visible}. visible is false if the point is on the far
+// side of the globe (behind the horizon) or behind the camera. x and y may be
+// outside of the canvas.
+///////////////////////////////////////////////////////////////////////////////
+export function projectLatLon(lat, lon, width, height, projection, modelView, radius=1)
+{
+    let point = latLonToPoint(lat, lon, radius);
+
+    // the point faces the camera if the camera is above its tangent plane
+    let camera = transformPoint(invertMatrix(modelView), [0, 0, 0]);
+    let visible = (camera[0] - point[0]) * point[0] +
+                  (camera[1] - point[1]) * point[1] +
+                  (camera[2] - point[2]) * point[2] > 0;
+
+    let clip = transformVector4(multiplyMatrices(projection, modelView), [point[0], point[1], point[2], 1]);
+    if(clip[3] <= 0)
+        return { x:0, y:0, visible:false };
+
+    return { x: (clip[0] / clip[3] + 1) * 0.5 * width,
+             y: (1 - clip[1] / clip[3]) * 0.5 * height,
+             visible: visible };
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// multiply 2 column-major 4x4 matrices, a * b
+///////////////////////////////////////////////////////////////////////////////
+export function multiplyMatrices(a, b)
+{
+    let m = new Float32Array(16);
+    for(let col = 0; col < 4; ++col)
+    {
+        for(let row = 0; row < 4; ++row)
+        {
+            m[col * 4 + row] = a[row]      * b[col * 4] +
+                               a[4 + row]  * b[col * 4 + 1] +
+                               a[8 + row]  * b[col * 4 + 2] +
+                               a[12 + row] * b[col * 4 + 3];
+        }
+    }
+    return m;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// inverse of a general 4x4 matrix with cofactors, null if it is singular
+///////////////////////////////////////////////////////////////////////////////
+export function invertMatrix(m)
+{
+    let inv = new Float64Array(16);
+    inv[0]  =  m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+    inv[4]  = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+    inv[8]  =  m[4] * m[9]  * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+    inv[12] = -m[4] * m[9]  * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+    inv[1]  = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+    inv[5]  =  m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+    inv[9]  = -m[0] * m[9]  * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+    inv[13] =  m[0] * m[9]  * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+    inv[2]  =  m[1] * m[6]  * m[15] - m[1] * m[7]  * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7]  - m[13] * m[3] * m[6];
+    inv[6]  = -m[0] * m[6]  * m[15] + m[0] * m[7]  * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7]  + m[12] * m[3] * m[6];
+    inv[10] =  m[0] * m[5]  * m[15] - m[0] * m[7]  * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7]  - m[12] * m[3] * m[5];
+    inv[14] = -m[0] * m[5]  * m[14] + m[0] * m[6]  * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6]  + m[12] * m[2] * m[5];
+    inv[3]  = -m[1] * m[6]  * m[11] + m[1] * m[7]  * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9]  * m[2] * m[7]  + m[9]  * m[3] * m[6];
+    inv[7]  =  m[0] * m[6]  * m[11] - m[0] * m[7]  * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8]  * m[2] * m[7]  - m[8]  * m[3] * m[6];
+    inv[11] = -m[0] * m[5]  * m[11] + m[0] * m[7]  * m[9]  + m[4] * m[1] * m[11] - m[4] * m[3] * m[9]  - m[8]  * m[1] * m[7]  + m[8]  * m[3] * m[5];
+    inv[15] =  m[0] * m[5]  * m[10] - m[0] * m[6]  * m[9]  - m[4] * m[1] * m[10] + m[4] * m[2] * m[9]  + m[8]  * m[1] * m[6]  - m[8]  * m[2] * m[5];
+
+    let det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+    if(Math.abs(det) < 1e-12)
+        return null;
+    for(let i = 0; i < 16; ++i)
+        inv[i] /= det;
+    return inv;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// transform (x,y,z,w) by matrix m
+///////////////////////////////////////////////////////////////////////////////
+export function transformVector4(m, v)
+{
+    return [m[0] * v[0] + m[4] * v[1] + m[8]  * v[2] + m[12] * v[3],
+            m[1] * v[0] + m[5] * v[1] + m[9]  * v[2] + m[13] * v[3],
+            m[2] * v[0] + m[6] * v[1] + m[10] * v[2] + m[14] * v[3],
+            m[3] * v[0] + m[7] * v[1] + m[11] * v[2] + m[15] * v[3]];
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////////
+// transform point (x,y,z) by matrix m with perspective division
+///////////////////////////////////////////////////////////////////////////////
+export function transformPoint(m, p)
+{
+    let v = transformVector4(m, [p[0], p[1], p[2], 1]);
+    return [v[0] / v[3], v[1] / v[3], v[2] / v[3]];
+}